@@ -1,8 +1,15 @@
 import Bolt from '@slack/bolt';
-import { execSync, spawn } from 'child_process';
-import { readFileSync, writeFileSync, existsSync, statSync, mkdirSync, createWriteStream, rmSync, readdirSync } from 'fs';
+import { execSync, execFile, execFileSync, spawn } from 'child_process';
+import { readFileSync, writeFileSync, existsSync, statSync, mkdirSync, createWriteStream, rmSync, readdirSync, realpathSync, chmodSync, copyFileSync } from 'fs';
+import { createServer } from 'http';
+import { EventEmitter } from 'events';
+import { resolve as resolvePath, relative as relativePath, dirname } from 'path';
+import { readFile as readFileAsync, writeFile as writeFileAsync, copyFile as copyFileAsync, mkdir as mkdirAsync, mkdtemp as mkdtempAsync, readdir as readdirAsync, stat as statAsync, rm as rmAsync } from 'fs/promises';
 import { pipeline } from 'stream/promises';
 import { createHash } from 'crypto';
+import { classifyTerminal, detectPermissionMode, PROMPT_STATES } from './terminal-state.js';
+import { escapeSlackText, formatCodeBlock, markdownToMrkdwn, splitMessage } from './mrkdwn.js';
+import { normalizeInboundMessage } from './slack-text.js';
 
 const { App } = Bolt;
 
@@ -33,21 +40,28 @@ const CONFIG_DIR = process.env.HOME + '/.claude/slack-bridge';
 // Timing constants (milliseconds)
 const TIMING = {
   CLAUDE_READY_TIMEOUT: 15000,      // Max wait for Claude to show prompt
-  CLAUDE_READY_POLL: 300,           // Poll interval when waiting for Claude
+  CLAUDE_READY_RECHECK: 1000,       // Re-check readiness this long after the last pane output
   CLAUDE_READY_SETTLE: 200,         // Extra wait after Claude ready for UI stability
-  TRUST_PROMPT_DELAY: 2000,         // Delay before auto-confirming trust prompt
   FILE_PASTE_DELAY: 1000,           // Wait between file pastes for Claude to process
-  ENTER_KEY_DELAY: 100,             // Delay before sending second Enter
   WINDOW_CREATE_DELAY: 100,         // Wait for tmux window creation
   FILE_DOWNLOAD_TIMEOUT: 30000,     // Timeout for downloading Slack files
   IDLE_CHECK_INTERVAL: 60000,       // How often to check for idle sessions
-  HEALTH_CHECK_INTERVAL: 30000,     // How often to check for crashed sessions
   TEMP_CLEANUP_INTERVAL: 86400000,  // How often to clean temp files (24h)
-  QUESTION_POLL_INTERVAL: 1500,     // How often to poll for question changes
-  QUESTION_POLL_STABLE: 500,        // Wait for terminal to stabilize before capturing
+  QUESTION_POLL_STABLE: 500,        // Pane must be quiet this long before looking for a question
+  USERGROUP_REFRESH_INTERVAL: 600000, // How often to reload Slack user group members (10min)
+  BUSY_RECHECK_AFTER: 60000,        // After this long, confirm "busy" against the pane (interrupts skip Stop)
+  PROGRESS_UPDATE_INTERVAL: 10000,  // How often to refresh the elapsed time on "working…" messages
+  PROGRESS_MIN_UPDATE_GAP: 2000,    // Minimum time between edits of one progress message
+  INPUT_ACCEPT_TIMEOUT: 3000,       // Max wait for typed/pasted input to show up in the pane
+  INPUT_SUBMIT_TIMEOUT: 1000,       // Wait for Enter to take effect before pressing it again
+  INPUT_ACCEPT_POLL: 100,           // Poll interval while waiting for the pane to take input
+  TMUX_RECONNECT_DELAY: 5000,       // Wait before reattaching the tmux control client
+  MODE_SWITCH_TIMEOUT: 1000,        // Wait for the mode footer to change after Shift+Tab
 };
-const SESSIONS_FILE = '/tmp/claude-slack-sessions.json';
-const SESSIONS_LOCK = '/tmp/claude-slack-sessions.lock';
+const SESSIONS_FILE = `${CONFIG_DIR}/sessions.json`;
+const SESSIONS_LOCK = `${CONFIG_DIR}/sessions.lock`;
+// Where sessions lived before the durable store (imported on first start)
+const LEGACY_SESSIONS_FILE = '/tmp/claude-slack-sessions.json';
 
 // Load tokens from config file
 function loadConfig() {
@@ -69,6 +83,18 @@ function loadConfig() {
   config.multiSession.defaultWorkingDir = config.multiSession.defaultWorkingDir || '~';
   // How long to keep temp files (downloaded attachments) before cleanup
   config.multiSession.tempFileRetentionDays = config.multiSession.tempFileRetentionDays || 14;
+  // Directories sessions may run in (empty = anywhere) and paths that are always refused
+  config.multiSession.allowedRoots = config.multiSession.allowedRoots || [];
+  config.multiSession.deniedPaths = config.multiSession.deniedPaths || [];
+  // Send messages held while Claude was busy as one prompt instead of one per turn
+  config.multiSession.combineQueuedMessages = config.multiSession.combineQueuedMessages || false;
+  // Session backend: "tmux" (Claude TUI in a tmux window) or "stream" (headless stream-json)
+  config.multiSession.backend = config.multiSession.backend || 'tmux';
+  // Remove terminated sessions after this many days (0 = keep forever, so they can be resumed)
+  config.multiSession.pruneTerminatedAfterDays = config.multiSession.pruneTerminatedAfterDays || 0;
+  config.multiSession.pruneIntervalHours = config.multiSession.pruneIntervalHours || 24;
+  // Messages longer than this go to Claude as a temp file it is told to read (0 = always paste)
+  config.multiSession.maxInputLength = config.multiSession.maxInputLength ?? 20000;
 
   return config;
 }
@@ -133,6 +159,132 @@ const app = new App({
 // Workspace URL for thread links (fetched at startup)
 let workspaceUrl = '';
 
+// Bot's own user ID, to strip only our mention from app_mention text (fetched at startup)
+let botUserId = null;
+
+// ============================================
+// Session Store
+// ============================================
+
+// sessions.json layout: { version, sessions: { threadTs → session } }
+// Bump STORE_VERSION and add a migration when the layout or the meaning of a field changes
+// (slack-claude.sh reads the number from the line below - keep it a plain literal)
+const STORE_VERSION = 2;
+
+// Status transitions kept per session (session.history)
+const MAX_STATUS_HISTORY = 50;
+
+// STORE_MIGRATIONS[n - 1] upgrades a version n store to version n + 1
+// Version 1 is the bare threadTs → session map of the old /tmp file
+const STORE_MIGRATIONS = [
+  // 1 → 2: wrap the map, start each status history with the current status
+  (sessions) => {
+    for (const session of Object.values(sessions)) {
+      session.history = session.history || [
+        { status: session.status, at: session.last_activity || session.created_at || new Date().toISOString() }
+      ];
+    }
+    return { version: 2, sessions };
+  },
+];
+
+function migrateStore(store) {
+  let version = Number.isInteger(store.version) ? store.version : 1;
+  if (version > STORE_VERSION) {
+    throw new Error(`sessions.json is version ${version}, this bridge only knows up to ${STORE_VERSION}`);
+  }
+  while (version < STORE_VERSION) {
+    store = STORE_MIGRATIONS[version - 1](store);
+    version = store.version;
+  }
+  return store;
+}
+
+function readStore(path = SESSIONS_FILE) {
+  return migrateStore(JSON.parse(readFileSync(path, 'utf-8')));
+}
+
+// Write to a temp file and rename it over the store, so a crash never leaves a partial file
+// (flock coordinates with slack-claude.sh, which registers sessions from the terminal)
+function writeStore(store) {
+  execFileSync('flock', [SESSIONS_LOCK, 'sh', '-c', 'cat > "$1.tmp" && mv "$1.tmp" "$1"', 'sh', SESSIONS_FILE], {
+    input: JSON.stringify(store, null, 2)
+  });
+}
+
+// Create the store on first start (importing the old /tmp file) or bring an older one up to date
+function initSessionStore() {
+  mkdirSync(CONFIG_DIR, { recursive: true });
+
+  if (existsSync(SESSIONS_FILE)) {
+    let raw;
+    try {
+      raw = JSON.parse(readFileSync(SESSIONS_FILE, 'utf-8'));
+    } catch (e) {
+      console.error(`Cannot read ${SESSIONS_FILE}: ${e.message}`);
+      console.error('Fix or move the file away - the bridge does not start over a damaged session store.');
+      process.exit(1);
+    }
+    if (raw.version !== STORE_VERSION) {
+      writeStore(migrateStore(raw));
+      console.log(`[${new Date().toISOString()}] Migrated ${SESSIONS_FILE} from version ${raw.version || 1} to ${STORE_VERSION}`);
+    }
+    return;
+  }
+
+  let store = { version: STORE_VERSION, sessions: {} };
+  if (existsSync(LEGACY_SESSIONS_FILE)) {
+    try {
+      store = readStore(LEGACY_SESSIONS_FILE);
+      console.log(`[${new Date().toISOString()}] Imported ${Object.keys(store.sessions).length} session(s) from ${LEGACY_SESSIONS_FILE}`);
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] Could not import ${LEGACY_SESSIONS_FILE}: ${e.message}`);
+    }
+  }
+  writeStore(store);
+}
+
+// Append a history entry for every session whose status changed since its last entry
+// Mutates the sessions - called by saveSessions
+function recordStatusChanges(sessions) {
+  const now = new Date().toISOString();
+  for (const session of Object.values(sessions)) {
+    const history = session.history || [];
+    if (!session.status || history.at(-1)?.status === session.status) continue;
+    history.push({ status: session.status, at: now });
+    session.history = history.slice(-MAX_STATUS_HISTORY);
+  }
+}
+
+// When a terminated session ended (its last status change)
+function terminatedAt(session) {
+  return new Date(session.history?.at(-1)?.at || session.last_activity || session.created_at).getTime();
+}
+
+function pruneTerminatedSessions() {
+  const days = config.multiSession.pruneTerminatedAfterDays;
+  if (!days) return;
+
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const sessions = loadSessions();
+  const expired = Object.keys(sessions).filter(threadTs =>
+    sessions[threadTs].status === 'terminated' && terminatedAt(sessions[threadTs]) < cutoff
+  );
+  if (expired.length === 0) return;
+
+  for (const threadTs of expired) {
+    dropCheckpoints(threadTs, sessions[threadTs]);
+    delete sessions[threadTs];
+  }
+  saveSessions(sessions);
+  console.log(`[${new Date().toISOString()}] Pruned ${expired.length} session(s) terminated more than ${days} day(s) ago`);
+}
+
+function startPruneInterval() {
+  pruneTerminatedSessions();
+  setInterval(pruneTerminatedSessions, config.multiSession.pruneIntervalHours * 60 * 60 * 1000);
+}
+
 // ============================================
 // Session Management
 // ============================================
@@ -160,19 +312,61 @@ let windowIndex = initWindowIndex();
 // In-memory lock to prevent duplicate session creation
 const creatingSession = new Map();  // threadTs → Promise
 
+// Why the store could not be read (damaged, or from a newer bridge) - nothing is saved over it then
+let storeReadError = null;
+
 function loadSessions() {
   try {
-    return JSON.parse(readFileSync(SESSIONS_FILE, 'utf-8'));
-  } catch {
+    const { sessions } = readStore();
+    storeReadError = null;
+    return sessions;
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      storeReadError = null;
+      return {};
+    }
+    if (storeReadError?.message !== e.message) {
+      console.error(`[${new Date().toISOString()}] Cannot read ${SESSIONS_FILE}: ${e.message} - sessions are not saved until it is fixed or moved away`);
+    }
+    storeReadError = e;
     return {};
   }
 }
 
 function saveSessions(sessions) {
-  const json = JSON.stringify(sessions, null, 2);
+  if (storeReadError) {
+    console.error(`[${new Date().toISOString()}] Not saving sessions over the unreadable ${SESSIONS_FILE}: ${storeReadError.message}`);
+    return;
+  }
   console.log(`[${new Date().toISOString()}] Saving sessions, keys: ${Object.keys(sessions).join(', ')}`);
-  // Use flock for atomic write with locking (coordinates with hooks)
-  execSync(`flock ${SESSIONS_LOCK} -c 'cat > ${SESSIONS_FILE}'`, { input: json });
+  recordStatusChanges(sessions);
+  writeStore({ version: STORE_VERSION, sessions });
+}
+
+// How many message timestamps to remember per session (for reactions on thread replies)
+const MAX_TRACKED_MESSAGES = 200;
+
+// Remember that a message (user reply or bot post) belongs to a session thread
+// Mutates the session object - caller saves
+function trackSessionMessage(session, ts) {
+  if (!session || !ts) return;
+  const tracked = session.messageTs || [];
+  if (tracked.includes(ts)) return;
+  tracked.push(ts);
+  session.messageTs = tracked.slice(-MAX_TRACKED_MESSAGES);
+}
+
+// Find the session a message belongs to: the thread parent, or any tracked reply
+// (reaction_added events only carry the message ts, not its thread_ts)
+// Returns [threadTs, session] or null
+function findSessionByMessageTs(sessions, ts) {
+  if (sessions[ts]) return [ts, sessions[ts]];
+
+  return Object.entries(sessions).find(([_, s]) =>
+    s.messageTs?.includes(ts) ||
+    s.permissionMessage?.ts === ts ||
+    s.questionMessage?.ts === ts
+  ) || null;
 }
 
 // Lock to prevent race condition on simultaneous session creation
@@ -201,497 +395,2976 @@ async function withSessionLock(threadTs, createFn) {
 // ============================================
 
 // Parse [/path/to/dir] prefix from message
+// Words starting with + are session flags, e.g. [~/app +stream] or just [+stream]
+// key=value words are CLI options as [key, value] pairs, e.g. [~/app model=opus mode=plan]
 function parseWorkingDir(text) {
   const match = text.match(/^\[([^\]]+)\]\s*/);
   if (match) {
+    const words = match[1].trim().split(/\s+/);
+    const isFlag = (w) => w.startsWith('+') && w.length > 1;
+    const isOption = (w) => /^[a-z][a-z-]*=/i.test(w);
+    const flags = words.filter(isFlag).map(w => w.slice(1));
+    const options = words.filter(isOption).map(w => [w.slice(0, w.indexOf('=')).toLowerCase(), w.slice(w.indexOf('=') + 1)]);
+    const path = words.filter(w => !isFlag(w) && !isOption(w)).join(' ');
     return {
-      requestedPath: match[1],
+      requestedPath: path || null,
+      flags,
+      options,
       message: text.slice(match[0].length)
     };
   }
-  return { requestedPath: null, message: text };
+  return { requestedPath: null, flags: [], options: [], message: text };
 }
 
-// Validate and resolve working directory
-function resolveWorkingDir(requestedPath) {
-  const defaultDir = config.multiSession.defaultWorkingDir.replace(/^~/, process.env.HOME);
+// Claude CLI options per session (model is stored as session.model, the rest in session.options)
+// Values end up on the command line typed into tmux - only allow characters that need no escaping
+const MODEL_NAME = /^[A-Za-z0-9._\[\]-]+$/;
+const TOOL_LIST = /^[\w.,:*()\/-]+$/;
+const PERMISSION_MODES = {
+  default: 'default',
+  plan: 'plan',
+  acceptedits: 'acceptEdits',
+  'accept-edits': 'acceptEdits',
+  edits: 'acceptEdits',
+  bypasspermissions: 'bypassPermissions',
+  bypass: 'bypassPermissions',
+};
 
-  if (!requestedPath) {
-    return { path: defaultDir, warning: null };
+// mode=... / !mode value → the CLI's name ({ mode } or { error }); skipping prompts is for admins
+function parsePermissionMode(value, userId, channel) {
+  const mode = PERMISSION_MODES[value.toLowerCase()];
+  if (!mode) {
+    return { error: `unknown mode \`${value}\` (use default, plan, acceptEdits or bypassPermissions)` };
   }
+  if (mode === 'bypassPermissions' && !hasRole(userId, channel, 'admin')) {
+    return { error: 'only admins can use `bypassPermissions`' };
+  }
+  return { mode };
+}
 
-  const resolved = requestedPath.replace(/^~/, process.env.HOME);
-
-  try {
-    const stat = statSync(resolved);
-    if (!stat.isDirectory()) {
-      return { path: defaultDir, warning: `⚠️ Path is not a directory: \`${requestedPath}\`, using default` };
+// Check the key=value pairs from the prefix; add-dir paths are relative to the working directory
+// Returns { model, options: { mode, addDirs, tools }, warnings } - invalid options are left out
+function resolveSessionOptions(pairs, baseDir, userId, channel) {
+  let model = null;
+  const options = {};
+  const warnings = [];
+
+  for (const [key, value] of pairs) {
+    if (key === 'model') {
+      if (MODEL_NAME.test(value)) model = value;
+      else warnings.push(`invalid model name \`${value}\``);
+    } else if (key === 'mode') {
+      const parsed = parsePermissionMode(value, userId, channel);
+      if (parsed.error) warnings.push(parsed.error);
+      else options.mode = parsed.mode;
+    } else if (key === 'add-dir') {
+      for (const dir of value.split(',').filter(Boolean)) {
+        const resolved = resolvePath(baseDir, dir.replace(/^~/, process.env.HOME));
+        let isDir = false;
+        try {
+          isDir = statSync(resolved).isDirectory();
+        } catch (e) {
+          // Missing - reported below
+        }
+        const refused = isDir ? checkPathAllowed(resolved) : null;
+        if (!isDir || /["'$`\\]/.test(resolved)) warnings.push(`\`${dir}\` is not a directory`);
+        else if (refused) warnings.push(refused);
+        else options.addDirs = [...(options.addDirs || []), resolved];
+      }
+    } else if (key === 'tools') {
+      if (TOOL_LIST.test(value)) options.tools = value;
+      else warnings.push(`invalid tool list \`${value}\``);
+    } else {
+      warnings.push(`unknown option \`${key}\` (use model, mode, add-dir or tools)`);
     }
-    return { path: resolved, warning: null };
-  } catch (e) {
-    return { path: defaultDir, warning: `⚠️ Path not found: \`${requestedPath}\`, using default` };
   }
+
+  return { model, options, warnings };
 }
 
-// ============================================
-// tmux Helpers
-// ============================================
+// Command-line arguments for session.options (the model is added by the callers)
+function claudeOptionArgs(options = {}) {
+  const args = [];
+  if (options.mode) args.push('--permission-mode', options.mode);
+  for (const dir of options.addDirs || []) args.push('--add-dir', dir);
+  if (options.tools) args.push('--tools', options.tools);
+  return args;
+}
 
-// Check if tmux session exists
-function tmuxSessionExists() {
-  try {
-    execSync(`tmux has-session -t ${TMUX_SESSION} 2>/dev/null`);
-    return true;
-  } catch {
-    return false;
+// Project registry from config: { "acme": "~/work/acme" } or
+// { "acme": { "path": "...", "model": "...", "instructions": "...", "idleTimeoutMinutes": 30 } }
+function getProjects() {
+  const projects = {};
+  for (const [name, entry] of Object.entries(config.projects || {})) {
+    const project = typeof entry === 'string' ? { path: entry } : { ...entry };
+    if (!project.path) continue;
+    projects[name] = { name, ...project };
   }
+  return projects;
 }
 
-// Check if tmux window exists (without switching to it)
-function tmuxWindowExists(windowName) {
-  try {
-    const windows = execSync(`tmux list-windows -t ${TMUX_SESSION} -F '#{window_name}'`, { encoding: 'utf-8' });
-    return windows.split('\n').includes(windowName);
-  } catch {
-    return false;
+// Match a name against the registry: exact (case-insensitive), then prefix, then substring,
+// then in-order letters ("acbe" → "acme-backend"). Returns { project } or { ambiguous: [names] }
+function findProject(query) {
+  const projects = getProjects();
+  const q = query.toLowerCase();
+  const names = Object.keys(projects);
+
+  const exact = names.find(n => n.toLowerCase() === q);
+  if (exact) return { project: projects[exact] };
+
+  const isSubsequence = (name) => {
+    let i = 0;
+    for (const ch of name) {
+      if (ch === q[i]) i++;
+    }
+    return i === q.length;
+  };
+
+  const tiers = [
+    n => n.toLowerCase().startsWith(q),
+    n => n.toLowerCase().includes(q),
+    n => isSubsequence(n.toLowerCase()),
+  ];
+
+  for (const matches of tiers) {
+    const found = names.filter(matches);
+    if (found.length === 1) return { project: projects[found[0]] };
+    if (found.length > 1) return { ambiguous: found };
   }
+  return {};
 }
 
-// Capture tmux pane content
-function capturePaneContent(windowName) {
+// Expand ~ and resolve symlinks so `[~/link-to-ssh]` can't slip past the checks
+// Paths that don't exist are only normalized
+function canonicalPath(path) {
+  const expanded = resolvePath(path.replace(/^~/, process.env.HOME));
   try {
-    return execSync(`tmux capture-pane -t ${TMUX_SESSION}:${windowName} -p`, { encoding: 'utf-8' });
+    return realpathSync(expanded);
   } catch {
-    return '';
+    return expanded;
   }
 }
 
-// Wait for Claude to be ready (shows prompt after trust prompt is confirmed)
-async function waitForClaudeReady(windowName, maxWaitMs = TIMING.CLAUDE_READY_TIMEOUT) {
-  const startTime = Date.now();
-  const pollInterval = TIMING.CLAUDE_READY_POLL;
-
-  while (Date.now() - startTime < maxWaitMs) {
-    const content = capturePaneContent(windowName);
+function isWithin(path, root) {
+  return path === root || path.startsWith(root.endsWith('/') ? root : `${root}/`);
+}
 
-    // Skip if still showing trust prompt (waiting for confirmation)
-    if (content.includes('trust this folder') || content.includes('Yes, I trust')) {
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
-      continue;
-    }
+// Check a directory against multiSession.allowedRoots / deniedPaths
+// Returns null if allowed, otherwise the reason it was refused
+function checkPathAllowed(path) {
+  const { allowedRoots, deniedPaths } = config.multiSession;
+  const real = canonicalPath(path);
+  const display = real.replace(process.env.HOME, '~');
 
-    // Check for ready indicators (after trust is confirmed)
-    if (content.includes('Welcome') ||      // "Welcome back" or "Welcome to Claude"
-        content.includes('❯') ||            // Prompt ready
-        content.includes('What would you like to do?')) {  // Initial prompt
-      console.log(`[${new Date().toISOString()}] Claude ready in window ${windowName}`);
-      // Wait for UI to stabilize before sending input
-      await new Promise(resolve => setTimeout(resolve, TIMING.CLAUDE_READY_SETTLE));
-      return true;
-    }
+  const denied = deniedPaths.find(d => isWithin(real, canonicalPath(d)));
+  if (denied) {
+    return `\`${display}\` is inside denied path \`${denied}\``;
+  }
 
-    await new Promise(resolve => setTimeout(resolve, pollInterval));
+  if (allowedRoots.length > 0 && !allowedRoots.some(r => isWithin(real, canonicalPath(r)))) {
+    return `\`${display}\` is outside the allowed roots (${allowedRoots.map(r => `\`${r}\``).join(', ')})`;
   }
 
-  console.log(`[${new Date().toISOString()}] Timeout waiting for Claude in window ${windowName}`);
-  return false;
+  return null;
 }
 
-// Send text to a tmux window
-async function sendToWindow(windowName, text) {
-  // Check if this is an option with additional instructions (e.g., "1 but only this file" or "3 try something else")
-  const optionParsed = parseOptionWithInstructions(text);
-  if (optionParsed.hasInstructions) {
-    const optionNum = parseInt(optionParsed.optionKey, 10);
-    console.log(`[${new Date().toISOString()}] Option ${optionNum} with instructions: "${optionParsed.instructions.substring(0, 50)}..."`);
+// Validate and resolve working directory
+// Accepts a path or a registered project name; returns the project (if any) for its settings
+function resolveWorkingDir(requestedPath) {
+  const defaultDir = config.multiSession.defaultWorkingDir.replace(/^~/, process.env.HOME);
 
-    // Navigate to the option using Down arrow (option 1 is default)
-    // Pressing digit immediately confirms, so we must use arrow navigation for Tab to work
-    if (optionNum > 1) {
-      for (let i = 1; i < optionNum; i++) {
-        execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Down`);
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      // Small delay after navigation before Tab
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+  if (!requestedPath) {
+    return { path: defaultDir, warning: null, project: null };
+  }
 
-    // Press Tab to open amendment input
-    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Tab`);
-    await new Promise(resolve => setTimeout(resolve, 500));
+  // Bare names are looked up in the project registry first; anything with a slash is a path
+  let project = null;
+  if (!/[\/~]/.test(requestedPath) && requestedPath !== '.') {
+    const match = findProject(requestedPath);
+    if (match.ambiguous) {
+      const names = match.ambiguous.map(n => `\`${n}\``).join(', ');
+      return { path: defaultDir, warning: `⚠️ \`${requestedPath}\` matches several projects (${names}), using default`, project: null };
+    }
+    project = match.project || null;
+  }
 
-    // Type the instructions
-    const escapedInstructions = optionParsed.instructions.replace(/'/g, "'\\''");
-    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} -l '${escapedInstructions}'`);
+  const displayPath = project ? project.path : requestedPath;
+  const resolved = displayPath.replace(/^~/, process.env.HOME);
 
-    // Wait for text to be processed, then Enter to confirm
-    await new Promise(resolve => setTimeout(resolve, 500));
-    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Enter`);
-    console.log(`[${new Date().toISOString()}] Option ${optionNum} with instructions sent to ${windowName}`);
-    return;
+  try {
+    const stat = statSync(resolved);
+    if (!stat.isDirectory()) {
+      return { path: defaultDir, warning: `⚠️ Path is not a directory: \`${displayPath}\`, using default`, project: null };
+    }
+    // Refused paths stop the session from starting - never swap in the default silently
+    const refused = checkPathAllowed(resolved);
+    if (refused) {
+      return { path: null, warning: null, project: null, refused };
+    }
+    return { path: resolved, warning: null, project };
+  } catch (e) {
+    return { path: defaultDir, warning: `⚠️ Path not found: \`${displayPath}\`, using default`, project: null };
   }
+}
 
-  // Check if this is a multi-select input (e.g., "1,2,3" or "1 2 3")
-  const multiSelect = parseMultiSelect(text);
-  if (multiSelect) {
-    await sendMultiSelect(windowName, multiSelect);
-    return;
+// Register a project in config.json (keeps the rest of the file as-is)
+function addProject(name, path) {
+  if (!name || !path) {
+    return { success: false, message: ':warning: Usage: `!project add <name> <path>`' };
   }
-
-  // Check if this is a "next" command to proceed in multi-step questions
-  if (isNextCommand(text)) {
-    console.log(`[${new Date().toISOString()}] Sending Enter to proceed (next command)`);
-    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Enter`);
-    return;
+  if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+    return { success: false, message: ':warning: Project names may only contain letters, digits, `_`, `.` and `-`' };
   }
 
-  // Check if this is a simple option selection
-  if (isOptionSelection(text)) {
-    const key = getOptionKey(text);
-    if (key) {
-      console.log(`[${new Date().toISOString()}] Sending option key: ${key}`);
-      execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} '${key}'`);
-      return;
+  try {
+    if (!statSync(path.replace(/^~/, process.env.HOME)).isDirectory()) {
+      return { success: false, message: `:warning: Not a directory: \`${path}\`` };
     }
+  } catch {
+    return { success: false, message: `:warning: Path not found: \`${path}\`` };
   }
 
-  const escaped = text.replace(/'/g, "'\\''");
-  console.log(`[${new Date().toISOString()}] Sending to ${windowName}: "${text.substring(0, 50)}..."`);
-  execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} -l '${escaped}'`);
-  execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Enter`);
-  // Wait and send second Enter for paste mode handling
-  await new Promise(resolve => setTimeout(resolve, TIMING.ENTER_KEY_DELAY));
+  const refused = checkPathAllowed(path);
+  if (refused) {
+    return { success: false, message: `:no_entry: Can't register \`${name}\`: ${refused}` };
+  }
+
+  const configPath = `${CONFIG_DIR}/config.json`;
   try {
-    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Enter`);
-    console.log(`[${new Date().toISOString()}] Message sent successfully to ${windowName}`);
+    const raw = JSON.parse(readFileSync(configPath, 'utf-8'));
+    const existing = raw.projects?.[name];
+    raw.projects = raw.projects || {};
+    // Keep model/instructions/timeout when re-pointing an existing project
+    raw.projects[name] = existing && typeof existing === 'object' ? { ...existing, path } : path;
+    writeFileSync(configPath, JSON.stringify(raw, null, 2) + '\n');
+    config.projects = raw.projects;
   } catch (e) {
-    console.log(`[${new Date().toISOString()}] Error sending second Enter: ${e.message}`);
+    return { success: false, message: `:warning: Failed to update config: ${e.message}` };
   }
+
+  console.log(`[${new Date().toISOString()}] Registered project ${name} → ${path}`);
+  return { success: true, message: `:white_check_mark: Project \`${name}\` → \`${path}\`. Start a session with \`[${name}] your message\`` };
 }
 
-// Check if text is an option selection (single digit, "yes", "no", "y", "n")
-function isOptionSelection(text) {
-  const normalized = text.trim().toLowerCase();
-  return /^[1-9]$/.test(normalized) ||
-         ['yes', 'no', 'y', 'n'].includes(normalized);
+// Format the project registry for display
+function formatProjectsMessage() {
+  const projects = Object.values(getProjects());
+  if (projects.length === 0) {
+    return ':information_source: No projects registered. Add one with `!project add <name> <path>`';
+  }
+
+  const lines = projects.map(p => {
+    const extras = [];
+    if (p.model) extras.push(`model: ${p.model}`);
+    if (p.idleTimeoutMinutes) extras.push(`idle: ${p.idleTimeoutMinutes}m`);
+    if (p.instructions) extras.push('instructions');
+    const suffix = extras.length > 0 ? ` _(${extras.join(', ')})_` : '';
+    return `• \`${p.name}\` → ${p.path.replace(process.env.HOME, '~')}${suffix}`;
+  });
+  return `:file_folder: *Projects (${projects.length})*\n${lines.join('\n')}`;
 }
 
-// Check if text is a rejection option (3, n, no) - Claude won't continue after these
-function isRejectionOption(text) {
-  const normalized = text.trim().toLowerCase();
-  return normalized === '3' || normalized === 'n' || normalized === 'no';
+// ============================================
+// Git Worktrees (one checkout per thread)
+// ============================================
+
+// Worktrees live in the main checkout (inside the allowed roots), hidden via .git/info/exclude
+const WORKTREES_DIR = '.worktrees';
+
+function git(dir, ...args) {
+  return execFileSync('git', ['-C', dir, ...args], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
 }
 
-// Check if text is an option with additional instructions (e.g., "1 but only this file" or "3 try something else")
-// Returns { hasInstructions: boolean, optionKey: string, instructions: string }
-function parseOptionWithInstructions(text) {
-  const normalized = text.trim();
+// git without blocking the event loop (for commands that read a whole working tree or diff)
+// `input` is written to git's stdin; rejects like git() with the output in e.stderr.
+// `onData` gets the output as it comes instead (resolves with ''); past `maxBytes` of output
+// git is stopped and the result is null
+function gitAsync(dir, args, { env = process.env, input, onData, maxBytes = Infinity } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', ['-C', dir, ...args], { env, stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+    const chunks = [];
+    let bytes = 0;
+    let stderr = '';
+    proc.stderr.setEncoding('utf-8');
+    proc.stdout.on('data', (chunk) => {
+      bytes += chunk.length;
+      if (bytes > maxBytes) proc.kill();
+      else if (onData) onData(chunk);
+      else chunks.push(chunk);
+    });
+    proc.stderr.on('data', chunk => { stderr += chunk; });
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      if (bytes > maxBytes) resolve(null);
+      else if (code === 0) resolve(Buffer.concat(chunks).toString('utf-8').trim());
+      else reject(Object.assign(new Error(`git ${args[0]} exited with code ${code}`), { stderr }));
+    });
+    if (input !== undefined) {
+      // git may exit without reading all of it - its exit code tells what went wrong
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(input);
+    }
+  });
+}
 
-  // Match "<digit> <instructions>" or "<digit>. <instructions>"
-  const digitMatch = normalized.match(/^([1-9])\.?\s+(.+)$/s);
-  if (digitMatch) {
-    return { hasInstructions: true, optionKey: digitMatch[1], instructions: digitMatch[2].trim() };
-  }
+// Last line of git's stderr ("fatal: ...") for Slack messages
+function gitErrorMessage(e) {
+  return (e.stderr?.toString().trim() || e.message).split('\n').pop();
+}
 
-  // Match "yes <instructions>" or "y <instructions>"
-  const yesMatch = normalized.match(/^(yes|y)\s+(.+)$/is);
-  if (yesMatch) {
-    return { hasInstructions: true, optionKey: '1', instructions: yesMatch[2].trim() };
+// `+worktree` / `+noworktree` in the prefix win over the project's "worktree": true
+function wantsWorktree(flags, project) {
+  const lower = flags.map(f => f.toLowerCase());
+  if (lower.includes('noworktree')) return false;
+  return lower.includes('worktree') || !!project?.worktree;
+}
+
+// Branch named after the thread: slack/1712345678-123456
+function worktreeBranchName(threadTs) {
+  return `slack/${threadTs.replace('.', '-')}`;
+}
+
+// Create a worktree on a new branch for a thread, starting from the HEAD of `dir`'s checkout
+// (which may itself be a worktree, e.g. when forking a worktree session)
+// Returns { path, branch, baseBranch, baseDir, repo, sourceDir, workingDir } (baseDir is that
+// checkout, workingDir the same subdirectory as `dir` inside the new worktree); throws if `dir`
+// is not in a git repository
+function createWorktree(threadTs, dir) {
+  let topLevel, commonDir;
+  try {
+    topLevel = git(dir, 'rev-parse', '--show-toplevel');
+    commonDir = git(dir, 'rev-parse', '--path-format=absolute', '--git-common-dir');
+  } catch (e) {
+    throw new Error(`\`${dir.replace(process.env.HOME, '~')}\` is not in a git repository`);
+  }
+  // The main checkout, also when `dir` is inside another worktree
+  const repo = resolvePath(commonDir, '..');
+  const branch = worktreeBranchName(threadTs);
+  const path = `${repo}/${WORKTREES_DIR}/${branch.replace('/', '-')}`;
+  const baseBranch = git(dir, 'rev-parse', '--abbrev-ref', 'HEAD');
+  const startPoint = git(dir, 'rev-parse', 'HEAD');
+
+  const exclude = `${commonDir}/info/exclude`;
+  try {
+    const current = existsSync(exclude) ? readFileSync(exclude, 'utf-8') : '';
+    if (!current.split('\n').includes(`/${WORKTREES_DIR}/`)) {
+      mkdirSync(`${commonDir}/info`, { recursive: true });
+      writeFileSync(exclude, `${current}${current && !current.endsWith('\n') ? '\n' : ''}/${WORKTREES_DIR}/\n`);
+    }
+  } catch (e) {
+    // Only cosmetic - the main checkout lists .worktrees/ as untracked
   }
 
-  // Match "no <instructions>" or "n <instructions>"
-  const noMatch = normalized.match(/^(no|n)\s+(.+)$/is);
-  if (noMatch) {
-    return { hasInstructions: true, optionKey: '3', instructions: noMatch[2].trim() };
+  try {
+    git(repo, 'worktree', 'add', '-b', branch, path, startPoint);
+  } catch (e) {
+    throw new Error(gitErrorMessage(e));
   }
+  console.log(`[${new Date().toISOString()}] Created worktree ${path} on branch ${branch} (from ${baseBranch})`);
 
-  return { hasInstructions: false, optionKey: null, instructions: null };
+  const subdir = relativePath(realpathSync(topLevel), realpathSync(dir));
+  return { path, branch, baseBranch, baseDir: topLevel, repo, sourceDir: dir, workingDir: subdir ? `${path}/${subdir}` : path };
 }
 
-// Get the key to send for an option selection
-function getOptionKey(text) {
-  const normalized = text.trim().toLowerCase();
-  if (/^[1-9]$/.test(normalized)) {
-    return normalized; // Send the digit
-  }
-  if (normalized === 'yes' || normalized === 'y') {
-    return '1'; // Option 1 is typically Yes
-  }
-  if (normalized === 'no' || normalized === 'n') {
-    return '3'; // Option 3 is typically No (or last option)
+// One line about the branch for the end-of-session offer: commits ahead, uncommitted changes
+function describeWorktree(worktree) {
+  const { path, branch, baseBranch, repo } = worktree;
+  const parts = [];
+  try {
+    const ahead = Number(git(repo, 'rev-list', '--count', `${baseBranch}..${branch}`));
+    parts.push(`${ahead} commit${ahead === 1 ? '' : 's'} ahead of \`${baseBranch}\``);
+    if (existsSync(path) && git(path, 'status', '--porcelain')) parts.push('uncommitted changes');
+  } catch (e) {
+    // Branch or base gone - the buttons report the details
   }
-  return null;
+  return `\`${branch}\` in \`${path.replace(process.env.HOME, '~')}\`${parts.length ? ` (${parts.join(', ')})` : ''}`;
 }
 
-// Check if text is a multi-select input (e.g., "1,2,3" or "1 2 3" or "1, 2, 3")
-// Returns array of digit strings if multi-select, null otherwise
-function parseMultiSelect(text) {
-  const normalized = text.trim();
+// Ask what happens to the branch once a worktree session is terminated
+async function offerWorktreeCleanup(threadTs, session) {
+  const worktree = session.worktree;
+  if (!worktree || worktree.resolution === 'merged' || worktree.resolution === 'deleted') return;
+  if (!existsSync(worktree.path)) return;
 
-  // Match comma or space separated digits: "1,2,3" or "1 2 3" or "1, 2, 3"
-  const multiMatch = normalized.match(/^(\d+)(?:[,\s]+(\d+))+$/);
-  if (multiMatch) {
-    // Extract all numbers from the string
-    const numbers = normalized.match(/\d+/g);
-    if (numbers && numbers.length > 1) {
-      // Filter to valid option numbers (1-9) and return as strings
-      return numbers.filter(n => {
-        const num = parseInt(n, 10);
-        return num >= 1 && num <= 9;
-      });
-    }
-  }
+  const value = JSON.stringify({ thread: threadTs });
+  const button = (actionId, text, extra = {}) => ({ type: 'button', action_id: actionId, text: { type: 'plain_text', text }, value, ...extra });
+  const text = `:twisted_rightwards_arrows: This session worked on branch ${describeWorktree(worktree)}. Keep, merge or delete it?`;
 
-  return null;
+  try {
+    await app.client.chat.postMessage({
+      channel: session.channel,
+      thread_ts: threadTs,
+      text,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text } },
+        {
+          type: 'actions',
+          block_id: 'worktree_actions',
+          elements: [
+            button('worktree_keep', 'Keep'),
+            button('worktree_merge', `Merge into ${worktree.baseBranch}`, { style: 'primary' }),
+            button('worktree_delete', 'Delete', {
+              style: 'danger',
+              confirm: {
+                title: { type: 'plain_text', text: 'Delete branch?' },
+                text: { type: 'mrkdwn', text: `Removes the worktree and \`${worktree.branch}\`, including uncommitted changes.` },
+                confirm: { type: 'plain_text', text: 'Delete' },
+                deny: { type: 'plain_text', text: 'Cancel' }
+              }
+            }),
+          ]
+        }
+      ]
+    });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to offer worktree cleanup: ${e.message}`);
+  }
 }
 
-// Check if text is a "next" or "proceed" command
-function isNextCommand(text) {
-  const normalized = text.trim().toLowerCase();
-  return ['next', 'proceed', 'continue', 'done', 'ok'].includes(normalized);
-}
+// Keep, merge or delete a worktree branch (the session must be terminated)
+// Merging happens in the checkout the worktree started from, which must still be on the base
+// branch; only committed work is merged, so a worktree with uncommitted changes is refused.
+// Returns { success, message }
+function finishWorktree(worktree, action) {
+  const { path, branch, baseBranch, repo } = worktree;
+  // Worktrees created before baseDir was stored always started from the main checkout
+  const baseDir = worktree.baseDir || repo;
+  const displayPath = path.replace(process.env.HOME, '~');
+
+  if (action === 'keep') {
+    return { success: true, message: `:file_folder: Kept branch \`${branch}\` in \`${displayPath}\`. Send a message to continue there.` };
+  }
 
-// Send multi-select: toggle each option then press Enter to proceed
-async function sendMultiSelect(windowName, digits) {
-  console.log(`[${new Date().toISOString()}] Multi-select: toggling options ${digits.join(', ')}`);
+  try {
+    if (action === 'merge') {
+      if (existsSync(path) && git(path, 'status', '--porcelain')) {
+        return { success: false, message: ':warning: The worktree has uncommitted changes. Send a message to have Claude commit them, or keep the branch.' };
+      }
+      const current = existsSync(baseDir) ? git(baseDir, 'rev-parse', '--abbrev-ref', 'HEAD') : null;
+      if (current !== baseBranch) {
+        const where = `\`${baseDir.replace(process.env.HOME, '~')}\``;
+        return { success: false, message: current
+          ? `:warning: ${where} is on \`${current}\`, not \`${baseBranch}\`. Switch it back or keep the branch.`
+          : `:warning: ${where} (where the branch started) is gone. Merge it by hand or keep the branch.` };
+      }
+      try {
+        git(baseDir, 'merge', '--no-edit', branch);
+      } catch (e) {
+        try {
+          git(baseDir, 'merge', '--abort');
+        } catch (abortError) {
+          // Merge never started (e.g. local changes in the way)
+        }
+        return { success: false, message: `:warning: Merge failed: ${gitErrorMessage(e)}` };
+      }
+    }
 
-  for (const digit of digits) {
-    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} '${digit}'`);
-    // Small delay between toggles for UI to update
-    await new Promise(resolve => setTimeout(resolve, 150));
+    if (existsSync(path)) {
+      git(repo, 'worktree', 'remove', ...(action === 'delete' ? ['--force'] : []), path);
+    }
+    // -d checks the branch is merged into what the checkout has checked out - the base after a merge
+    git(action === 'merge' ? baseDir : repo, 'branch', action === 'delete' ? '-D' : '-d', branch);
+  } catch (e) {
+    return { success: false, message: `:warning: ${gitErrorMessage(e)}` };
   }
 
-  // Press Enter to proceed (select "Next")
-  await new Promise(resolve => setTimeout(resolve, 200));
-  execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Enter`);
-  console.log(`[${new Date().toISOString()}] Multi-select completed, pressed Enter to proceed`);
+  console.log(`[${new Date().toISOString()}] Worktree branch ${branch}: ${action === 'merge' ? `merged into ${baseBranch}` : 'deleted'}`);
+  return action === 'merge'
+    ? { success: true, message: `:white_check_mark: Merged \`${branch}\` into \`${baseBranch}\` and removed the worktree.` }
+    : { success: true, message: `:wastebasket: Deleted branch \`${branch}\` and its worktree.` };
 }
 
 // ============================================
-// Slack Helpers
+// Change Summary (git state at session start → end)
 // ============================================
 
-// Add emoji reaction to a Slack message
-async function addReaction(channel, timestamp, emoji) {
+// Diffs up to this size are shown in the summary, longer ones are attached as a snippet
+const INLINE_DIFF_LIMIT = 2500;
+const DIFF_UPLOAD_LIMIT = 5 * 1024 * 1024;  // Larger diffs are uploaded as a diffstat
+const SUMMARY_MAX_ITEMS = 15;
+
+// Uncommitted files of the whole repository, paths relative to its top level
+async function uncommittedFiles(dir) {
+  const tracked = (await gitAsync(dir, ['diff', '--name-only', 'HEAD'])).split('\n').filter(Boolean);
+  const untracked = (await gitAsync(dir, ['ls-files', '--others', '--exclude-standard', '--full-name', ':/'])).split('\n').filter(Boolean);
+  return { tracked, untracked };
+}
+
+// Fingerprint of the uncommitted changes, to tell whether a dirty checkout was touched at all
+async function uncommittedDiffHash(dir) {
+  const hash = createHash('sha1');
+  await gitAsync(dir, ['diff', 'HEAD'], { onData: chunk => hash.update(chunk) });
+  return hash.digest('hex');
+}
+
+// Recorded when a session starts (session.gitBaseline); undefined outside a repository
+async function captureGitBaseline(dir) {
   try {
-    await app.client.reactions.add({
-      channel: channel,
-      name: emoji,
-      timestamp: timestamp
-    });
+    const { tracked, untracked } = await uncommittedFiles(dir);
+    return { head: await gitAsync(dir, ['rev-parse', 'HEAD']), dirty: [...tracked, ...untracked], diffHash: await uncommittedDiffHash(dir) };
   } catch (e) {
-    // Ignore reaction errors (may already exist)
+    return undefined; // Not a repository, or one without commits yet
   }
 }
 
-// Notify user that session has ended (if enabled)
-async function notifySessionEnded(channel, threadTs) {
-  if (!config.multiSession.notifyOnTimeout) return;
+// "• `a.js` +3 −1" lines, the rest counted
+function formatSummaryList(lines) {
+  const shown = lines.slice(0, SUMMARY_MAX_ITEMS).map(line => `• ${line}`);
+  if (lines.length > SUMMARY_MAX_ITEMS) shown.push(`_…and ${lines.length - SUMMARY_MAX_ITEMS} more_`);
+  return shown.join('\n');
+}
+
+// What the session did to its repository since gitBaseline: commits, files with line counts
+// (committed or not, against the starting HEAD), what is left uncommitted, and how long it ran
+async function postChangeSummary(threadTs, session) {
+  const baseline = session.gitBaseline;
+  const dir = session.workingDir;
+  if (!baseline || !dir || !existsSync(dir)) return;
 
+  let commits, files, uncommitted, diff, stat, branch, untouched;
   try {
-    await app.client.chat.postMessage({
-      channel: channel,
-      thread_ts: threadTs,
-      text: '⏱️ Session timed out due to inactivity. Send a message to restart.'
-    });
+    const log = await gitAsync(dir, ['log', '--format=%h %s', `${baseline.head}..HEAD`]);
+    commits = log ? log.split('\n') : [];
+    files = (await gitAsync(dir, ['diff', '--numstat', baseline.head])).split('\n').filter(Boolean).map(line => line.split('\t'));
+    uncommitted = await uncommittedFiles(dir);
+    diff = await gitAsync(dir, ['diff', baseline.head], { maxBytes: DIFF_UPLOAD_LIMIT });
+    // Too big to be worth reading in Slack - the diffstat instead
+    if (diff === null) stat = await gitAsync(dir, ['diff', '--stat', baseline.head]);
+    branch = await gitAsync(dir, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    untouched = commits.length === 0 && await uncommittedDiffHash(dir) === baseline.diffHash;
   } catch (e) {
-    console.error(`Failed to notify session end: ${e.message}`);
+    console.error(`[${new Date().toISOString()}] Could not summarize changes in ${dir}: ${gitErrorMessage(e)}`);
+    return;
+  }
+
+  const wasDirty = new Set(baseline.dirty);
+  const newFiles = uncommitted.untracked.filter(path => !wasDirty.has(path));
+  const duration = formatDuration(Date.now() - new Date(session.created_at).getTime());
+  const where = `\`${dir.replace(process.env.HOME, '~')}\` (\`${branch}\`)`;
+
+  if (newFiles.length === 0 && (untouched || files.length === 0)) {
+    await postToSessionThread(threadTs, session.channel, `:memo: Session ran ${duration} - no changes in ${where}.`);
+    return;
+  }
+
+  const before = (path) => wasDirty.has(path) ? ' _(changed before the session)_' : '';
+  const sections = [`:memo: *Session summary* - ran ${duration} in ${where}`];
+  if (commits.length > 0) {
+    sections.push(`*Commits (${commits.length})*\n` + formatSummaryList(commits.map(line => {
+      const [hash, ...subject] = line.split(' ');
+      return `\`${hash}\` ${escapeSlackText(subject.join(' '))}`;
+    })));
+  }
+  if (files.length > 0 || newFiles.length > 0) {
+    sections.push(`*Files changed (${files.length + newFiles.length})*\n` + formatSummaryList([
+      ...files.map(([added, deleted, path]) =>
+        `\`${path}\` ${added === '-' ? 'binary' : `+${added} −${deleted}`}${before(path)}`),
+      ...newFiles.map(path => `\`${path}\` new, not committed`),
+    ]));
+  }
+  const left = [...uncommitted.tracked, ...uncommitted.untracked];
+  sections.push(left.length > 0
+    ? `*Uncommitted (${left.length})*\n` + formatSummaryList(left.map(path => `\`${path}\`${before(path)}`))
+    : '*Uncommitted:* nothing, all changes are committed');
+
+  // Short diffs inline, long ones as a snippet (untracked files are not in the diff)
+  const inline = diff && diff.length <= INLINE_DIFF_LIMIT;
+  if (inline) sections.push(formatCodeBlock(diff));
+  await postToSessionThread(threadTs, session.channel, sections.join('\n\n'));
+
+  if ((diff && !inline) || stat) {
+    const since = baseline.head.slice(0, 7);
+    try {
+      await app.client.files.uploadV2({
+        channel_id: session.channel,
+        thread_ts: threadTs,
+        content: diff || `The diff is over ${DIFF_UPLOAD_LIMIT / 1024 / 1024} MB - files changed since ${since}:\n\n${stat}\n`,
+        filename: `${session.window}-${since}.${diff ? 'diff' : 'txt'}`,
+        title: `${diff ? 'Diff' : 'Diffstat'} since ${since}`
+      });
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] Failed to upload diff for thread ${threadTs}: ${e.message}`);
+    }
   }
 }
 
 // ============================================
-// File Download Helpers
+// Checkpoints (!undo, !checkpoints)
 // ============================================
 
-// Supported file types that Claude can read
-const SUPPORTED_IMAGE_TYPES = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
-const SUPPORTED_DOC_TYPES = ['pdf'];
-const SUPPORTED_TEXT_TYPES = [
-  'txt', 'md', 'json', 'js', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs', 'java',
-  'c', 'cpp', 'h', 'hpp', 'cs', 'php', 'html', 'css', 'scss', 'sass', 'less',
-  'xml', 'yaml', 'yml', 'toml', 'ini', 'conf', 'cfg', 'sh', 'bash', 'zsh',
-  'sql', 'graphql', 'vue', 'svelte', 'astro', 'swift', 'kt', 'scala', 'clj',
-  'ex', 'exs', 'erl', 'hs', 'ml', 'fs', 'r', 'jl', 'lua', 'pl', 'pm', 'rake',
-  'gemspec', 'podspec', 'gradle', 'cmake', 'makefile', 'dockerfile', 'env',
-  'gitignore', 'editorconfig', 'prettierrc', 'eslintrc', 'babelrc'
-];
+// The working directory is snapshotted before every Slack message that reaches Claude. In a
+// repository a snapshot is a commit of the whole tree (untracked files too, ignored ones not)
+// built in a private index and kept by a hidden ref - branch, index and stash stay untouched.
+// Other directories are copied to CHECKPOINTS_DIR as long as they are small enough.
+const CHECKPOINTS_DIR = `${CONFIG_DIR}/checkpoints`;
+const CHECKPOINT_REFS = 'refs/slack-bridge/checkpoints';
+const CHECKPOINT_LIMIT = 20;
+const CHECKPOINT_MAX_FILES = 2000;
+const CHECKPOINT_MAX_BYTES = 50 * 1024 * 1024;
+const SNAPSHOT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'slack-bridge',
+  GIT_AUTHOR_EMAIL: 'slack-bridge@localhost',
+  GIT_COMMITTER_NAME: 'slack-bridge',
+  GIT_COMMITTER_EMAIL: 'slack-bridge@localhost',
+};
 
-// Check if file type is supported by Claude
-function isFileSupported(filename) {
-  const ext = filename.toLowerCase().split('.').pop() || '';
-  const basename = filename.toLowerCase();
+// Snapshots read and hash the whole working tree: every git call and file copy here is
+// asynchronous, so a big repository doesn't hold up Slack events and hooks
 
-  // Check known extensions
-  if (SUPPORTED_IMAGE_TYPES.includes(ext)) return { supported: true, type: 'image' };
-  if (SUPPORTED_DOC_TYPES.includes(ext)) return { supported: true, type: 'document' };
-  if (SUPPORTED_TEXT_TYPES.includes(ext)) return { supported: true, type: 'text' };
+// git with its own index file, so the user's staging area is never touched
+function gitWithIndex(index, dir, args, input) {
+  return gitAsync(dir, args, { env: { ...process.env, ...SNAPSHOT_IDENTITY, GIT_INDEX_FILE: index }, input });
+}
 
-  // Check common filenames without extensions
-  const knownFiles = ['makefile', 'dockerfile', 'gemfile', 'rakefile', 'procfile'];
-  if (knownFiles.includes(basename)) return { supported: true, type: 'text' };
+// One per snapshot or restore - a turn-end snapshot may run while the next message's is taken
+let privateIndexCount = 0;
 
-  return { supported: false, type: 'unknown' };
+async function privateIndexPath(top) {
+  return resolvePath(top, await gitAsync(top, ['rev-parse', '--git-path', `slack-bridge-index-${process.pid}-${privateIndexCount++}`]));
 }
 
-// Download a file from Slack to local temp directory
-async function downloadSlackFile(file, threadTs) {
-  const tempDir = `/tmp/claude-slack-files/${threadTs}`;
-  mkdirSync(tempDir, { recursive: true });
+// Starts from a copy of the real index, so unchanged files are not hashed again
+async function snapshotRepository(top, label) {
+  const index = await privateIndexPath(top);
+  const realIndex = resolvePath(top, await gitAsync(top, ['rev-parse', '--git-path', 'index']));
+  try {
+    if (existsSync(realIndex)) await copyFileAsync(realIndex, index);
+    await gitWithIndex(index, top, ['add', '-A']);
+    const tree = await gitWithIndex(index, top, ['write-tree']);
+    const commit = await gitWithIndex(index, top, ['commit-tree', tree, '-m', label]);
+    await gitWithIndex(index, top, ['update-ref', `${CHECKPOINT_REFS}/${commit}`, commit]);
+    let head = null;
+    try {
+      head = await gitAsync(top, ['rev-parse', 'HEAD']);
+    } catch (e) {
+      // No commits yet
+    }
+    return { dir: top, commit, head };
+  } finally {
+    await rmAsync(index, { force: true });
+  }
+}
 
-  // Generate unique filename
-  let filename = file.name || `file-${Date.now()}`;
-  let filepath = `${tempDir}/${filename}`;
+// Files under dir (relative paths), or null when there are too many or they are too big to copy
+async function listDirectoryFiles(dir) {
+  const files = [];
+  let bytes = 0;
+  const walk = async (sub) => {
+    for (const entry of await readdirAsync(resolvePath(dir, sub), { withFileTypes: true })) {
+      const path = sub ? `${sub}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!await walk(path)) return false;
+      } else if (entry.isFile()) {
+        files.push(path);
+        bytes += (await statAsync(resolvePath(dir, path))).size;
+        if (files.length > CHECKPOINT_MAX_FILES || bytes > CHECKPOINT_MAX_BYTES) return false;
+      }
+    }
+    return true;
+  };
+  return await walk('') ? files : null;
+}
 
-  // Handle duplicate names
-  let counter = 1;
-  while (existsSync(filepath)) {
-    const ext = filename.includes('.') ? filename.slice(filename.lastIndexOf('.')) : '';
-    const base = filename.includes('.') ? filename.slice(0, filename.lastIndexOf('.')) : filename;
-    filepath = `${tempDir}/${base}-${counter}${ext}`;
-    counter++;
-  }
+// Copy of a directory plus a manifest of content hashes. `filesToo: false` writes only the
+// manifest - enough to tell later what changed
+async function snapshotDirectory(threadTs, dir, { filesToo = true } = {}) {
+  const files = await listDirectoryFiles(dir);
+  if (!files) return null;
 
-  // Download with auth
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), TIMING.FILE_DOWNLOAD_TIMEOUT);
+  const parent = `${CHECKPOINTS_DIR}/${threadTs}`;
+  await mkdirAsync(parent, { recursive: true });
+  const copy = await mkdtempAsync(`${parent}/${Date.now()}-`);
+  try {
+    const manifest = {};
+    for (const path of files) {
+      const source = resolvePath(dir, path);
+      manifest[path] = createHash('sha1').update(await readFileAsync(source)).digest('hex');
+      if (filesToo) {
+        await mkdirAsync(dirname(`${copy}/files/${path}`), { recursive: true });
+        await copyFileAsync(source, `${copy}/files/${path}`);
+      }
+    }
+    await writeFileAsync(`${copy}/manifest.json`, JSON.stringify(manifest));
+  } catch (e) {
+    await rmAsync(copy, { recursive: true, force: true });
+    throw e;
+  }
+  return { dir, copy };
+}
 
-  let response;
+// The whole repository dir belongs to, or a copy of dir; null when it is too big to copy
+async function takeSnapshot(threadTs, dir, label, options) {
+  let top = null;
   try {
-    response = await fetch(file.url_private_download, {
-      headers: { 'Authorization': `Bearer ${config.botToken}` },
-      signal: controller.signal
-    });
+    top = await gitAsync(dir, ['rev-parse', '--show-toplevel']);
   } catch (e) {
-    clearTimeout(timeout);
-    console.error(`Failed to download ${file.name}: ${e.message}`);
-    return null;
+    // Not a repository - copy the files instead
   }
-  clearTimeout(timeout);
+  return top ? snapshotRepository(top, label) : snapshotDirectory(threadTs, dir, options);
+}
 
-  if (!response.ok) {
-    console.error(`Failed to download ${file.name}: ${response.status}`);
+// path → content id of every file in a snapshot, or null if the snapshot is gone
+async function snapshotFiles(snapshot) {
+  try {
+    if (snapshot.copy) return JSON.parse(await readFileAsync(`${snapshot.copy}/manifest.json`, 'utf-8'));
+    const files = {};
+    for (const entry of (await gitAsync(snapshot.dir, ['ls-tree', '-r', '-z', snapshot.commit])).split('\0').filter(Boolean)) {
+      const tab = entry.indexOf('\t');
+      const [mode, type, hash] = entry.slice(0, tab).split(' ');
+      if (type === 'blob') files[entry.slice(tab + 1)] = `${mode} ${hash}`; // Not submodules
+    }
+    return files;
+  } catch (e) {
     return null;
   }
+}
 
-  // Stream to file
-  const fileStream = createWriteStream(filepath);
-  await pipeline(response.body, fileStream);
+function changedPaths(from, to) {
+  const paths = new Set([...Object.keys(from), ...Object.keys(to)]);
+  return [...paths].filter(path => from[path] !== to[path]);
+}
 
-  console.log(`Downloaded: ${file.name} -> ${filepath}`);
-  return filepath;
+function sameSnapshot(a, b) {
+  return !!a && !!b && (a.copy ? a.copy === b.copy : a.commit === b.commit && a.dir === b.dir);
 }
 
-// ============================================
-// Session Lifecycle
-// ============================================
+// Drop a snapshot's ref or copy once neither a checkpoint nor knownState points at it
+// (runs in the background - callers don't wait for it)
+async function releaseSnapshot(session, snapshot) {
+  if (!snapshot || sameSnapshot(session.knownState, snapshot)) return;
+  if ((session.checkpoints || []).some(c => sameSnapshot(c.before, snapshot))) return;
+  try {
+    if (snapshot.copy) {
+      await rmAsync(snapshot.copy, { recursive: true, force: true });
+    } else {
+      await gitAsync(snapshot.dir, ['update-ref', '-d', `${CHECKPOINT_REFS}/${snapshot.commit}`]);
+    }
+  } catch (e) {
+    // The repository may be gone - nothing left to clean up
+  }
+}
 
-async function createSession(threadTs, channel, workingDir) {
-  // Use temporary window name until Claude reports its session_id
-  const tempWindowName = `new-${windowIndex++}`;
+// Taken before a message is delivered (replies to Claude's prompts continue the turn, no checkpoint)
+// Changes since the last turn ended are someone else's: recorded as `outside`, since restoring
+// an earlier checkpoint would take them back too. Mutates the session; returns the checkpoint or null
+async function createCheckpoint(threadTs, session, text) {
+  const dir = session.workingDir;
+  if (!dir || !existsSync(dir)) return null;
 
-  // Create new tmux window (in background)
-  execSync(`tmux new-window -d -t ${TMUX_SESSION}: -n ${tempWindowName}`);
+  const preview = truncateText((text || '').replace(/\s+/g, ' ').trim() || 'attachments', 60);
+  let before;
+  try {
+    before = await takeSnapshot(threadTs, dir, `Before: ${preview}`);
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Could not snapshot ${dir} for thread ${threadTs}: ${gitErrorMessage(e)}`);
+    return null;
+  }
+  if (!before) {
+    console.log(`[${new Date().toISOString()}] Not snapshotting ${dir} for thread ${threadTs}: more than ${CHECKPOINT_MAX_FILES} files or ${CHECKPOINT_MAX_BYTES / 1024 / 1024} MB`);
+    return null;
+  }
 
-  // Small delay to ensure window is fully created
-  await new Promise(resolve => setTimeout(resolve, TIMING.WINDOW_CREATE_DELAY));
+  await pendingTurnEnd(threadTs, session);
+  const known = session.knownState && await snapshotFiles(session.knownState);
+  const current = known && await snapshotFiles(before);
+  const checkpoint = {
+    id: (session.checkpoints?.at(-1)?.id || 0) + 1,
+    at: new Date().toISOString(),
+    text: preview,
+    before,
+    outside: current ? changedPaths(known, current) : [],
+  };
+  session.checkpoints = [...(session.checkpoints || []), checkpoint];
+  while (session.checkpoints.length > CHECKPOINT_LIMIT) releaseSnapshot(session, session.checkpoints.shift().before);
+  return checkpoint;
+}
 
-  // Change to working directory first (use double quotes for paths with spaces)
-  if (workingDir) {
-    execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} 'cd "${workingDir}"' Enter`);
-  }
+// threadTs → the turn-end snapshot being taken; callers don't wait for it, but the next
+// checkpoint or restore compares against it
+const turnEndSnapshots = new Map();
+
+// Wait for a turn-end snapshot in progress and pick up the knownState it stored
+async function pendingTurnEnd(threadTs, session) {
+  const pending = turnEndSnapshots.get(threadTs);
+  if (!pending) return;
+  await pending;
+  const stored = loadSessions()[threadTs];
+  if (stored?.knownState) session.knownState = stored.knownState;
+}
 
-  // Start Claude in the window with environment variables (for tool isolation)
-  const env = `CLAUDE_THREAD_TS=${threadTs} CLAUDE_SLACK_CHANNEL=${channel}`;
-  execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} '${env} claude' Enter`);
+// The directory as Claude left it at the end of a turn (session.knownState) - what differs from
+// it later was changed outside the session
+function recordTurnEnd(threadTs) {
+  const previous = turnEndSnapshots.get(threadTs) || Promise.resolve();
+  const pending = previous.then(() => snapshotTurnEnd(threadTs)).catch((e) => {
+    console.error(`[${new Date().toISOString()}] Error recording the end of a turn in thread ${threadTs}:`, e.message);
+  });
+  turnEndSnapshots.set(threadTs, pending);
+  pending.finally(() => {
+    if (turnEndSnapshots.get(threadTs) === pending) turnEndSnapshots.delete(threadTs);
+  });
+}
 
-  // Auto-confirm trust prompt after Claude starts (only if trust prompt is showing)
-  setTimeout(() => {
+async function snapshotTurnEnd(threadTs) {
+  const session = loadSessions()[threadTs];
+  if (!session?.checkpoints?.length || !session.workingDir || !existsSync(session.workingDir)) return;
+
+  let snapshot;
+  try {
+    snapshot = await takeSnapshot(threadTs, session.workingDir, 'After turn', { filesToo: false });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Could not snapshot ${session.workingDir} after a turn in thread ${threadTs}: ${gitErrorMessage(e)}`);
+    return;
+  }
+  if (!snapshot) return;
+  updateStoredSession(threadTs, s => {
+    const previous = s.knownState;
+    s.knownState = snapshot;
+    releaseSnapshot(s, previous);
+  });
+}
+
+// Make the directory match a snapshot: files that differ are written back, files the snapshot
+// doesn't have are deleted (empty directories stay)
+async function applySnapshot(snapshot, currentFiles, targetFiles) {
+  const changed = Object.keys(targetFiles).filter(path => currentFiles[path] !== targetFiles[path]);
+  const removed = Object.keys(currentFiles).filter(path => !(path in targetFiles));
+  for (const path of removed) await rmAsync(resolvePath(snapshot.dir, path), { force: true });
+
+  if (snapshot.copy) {
+    for (const path of changed) {
+      const dest = resolvePath(snapshot.dir, path);
+      await mkdirAsync(dirname(dest), { recursive: true });
+      await copyFileAsync(`${snapshot.copy}/files/${path}`, dest);
+    }
+  } else if (changed.length > 0) {
+    const index = await privateIndexPath(snapshot.dir);
     try {
-      const content = capturePaneContent(tempWindowName);
-      if (content.includes('trust this folder') || content.includes('Yes, I trust')) {
-        execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} '1'`);
-      }
-    } catch (e) {
-      // Window may have closed or Claude not ready yet
+      await gitWithIndex(index, snapshot.dir, ['read-tree', snapshot.commit]);
+      await gitWithIndex(index, snapshot.dir, ['checkout-index', '-f', '-z', '--stdin'], changed.join('\0'));
+    } finally {
+      await rmAsync(index, { force: true });
     }
-  }, TIMING.TRUST_PROMPT_DELAY);
+  }
+  return { changed, removed };
+}
 
-  return {
-    window: tempWindowName,  // Will be updated to 8-char session_id by hook
-    sessionId: null,         // Will be set to full UUID by hook on first response
-    channel: channel,
-    workingDir: workingDir || process.env.HOME,
-    created_at: new Date().toISOString(),
-    last_activity: new Date().toISOString(),
-    idle_since: null,
-    status: 'starting'
-  };
+// When a session is pruned: its refs and copies go with it
+function dropCheckpoints(threadTs, session) {
+  const snapshots = [...(session.checkpoints || []).map(c => c.before), session.knownState];
+  session.checkpoints = [];
+  delete session.knownState;
+  for (const snapshot of snapshots) releaseSnapshot(session, snapshot);
+  rmSync(`${CHECKPOINTS_DIR}/${threadTs}`, { recursive: true, force: true });
 }
 
-async function resurrectSession(threadTs, channel, fullSessionId, workingDir) {
-  const tempWindowName = `new-${windowIndex++}`;
+function describeCheckpoint(checkpoint) {
+  return checkpoint.restore ? checkpoint.text : `before “${checkpoint.text}”`;
+}
 
-  // Create new tmux window (in background)
-  execSync(`tmux new-window -d -t ${TMUX_SESSION}: -n ${tempWindowName}`);
+// The last checkpoint taken before a turn (!undo) - not the ones saved by a restore
+function lastTurnCheckpoint(session) {
+  return (session.checkpoints || []).findLast(c => !c.restore);
+}
 
-  // Small delay to ensure window is fully created
-  await new Promise(resolve => setTimeout(resolve, TIMING.WINDOW_CREATE_DELAY));
+// Put the directory back to a checkpoint. The current state is saved first as a new checkpoint
+// (restoring it goes forward again); the checkpoints of undone turns are dropped.
+// Edits made outside the session that the restore would overwrite - after the last turn, or
+// between the turns being undone - are listed instead unless `force`; `forceCommand` is what
+// to send to restore anyway. Mutates the session; returns { success, message }
+const restoringThreads = new Set();
 
-  // Change to working directory (use stored dir from original session)
-  const sessions = loadSessions();
-  const effectiveDir = workingDir || sessions[threadTs]?.workingDir || process.env.HOME;
-  execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} 'cd "${effectiveDir}"' Enter`);
+async function restoreCheckpoint(threadTs, session, checkpoint, forceCommand, force = false) {
+  if (session.status !== 'terminated' && (session.pendingPermission || session.pendingQuestion)) {
+    return { success: false, message: ':warning: Claude is waiting for an answer - reply to its prompt first.' };
+  }
+  if (session.status !== 'terminated' && await isClaudeWorking(session)) {
+    return { success: false, message: ':hourglass_flowing_sand: Claude is working - wait for the turn to finish before restoring files.' };
+  }
 
-  // Resume previous Claude session using full UUID
-  const env = `CLAUDE_THREAD_TS=${threadTs} CLAUDE_SLACK_CHANNEL=${channel}`;
-  execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} '${env} claude --resume ${fullSessionId}' Enter`);
+  if (restoringThreads.has(threadTs)) {
+    return { success: false, message: ':hourglass_flowing_sand: A restore is already running in this thread.' };
+  }
+  restoringThreads.add(threadTs);
+  try {
+    await pendingTurnEnd(threadTs, session);
+    return await restoreSnapshot(threadTs, session, checkpoint, forceCommand, force);
+  } finally {
+    restoringThreads.delete(threadTs);
+  }
+}
 
-  // Auto-confirm trust prompt if shown (only if trust prompt is actually visible)
-  setTimeout(() => {
-    try {
-      const content = capturePaneContent(tempWindowName);
-      if (content.includes('trust this folder') || content.includes('Yes, I trust')) {
-        execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} '1'`);
-      }
-    } catch (e) {
-      // Window may have closed or Claude not ready yet
-    }
-  }, TIMING.TRUST_PROMPT_DELAY);
+async function restoreSnapshot(threadTs, session, checkpoint, forceCommand, force) {
+  const target = checkpoint.before;
+  const dir = target.dir.replace(process.env.HOME, '~');
+  const targetFiles = existsSync(target.dir) ? await snapshotFiles(target) : null;
+  if (!targetFiles) {
+    return { success: false, message: `:warning: Checkpoint #${checkpoint.id} can't be restored: \`${dir}\` or its snapshot is gone.` };
+  }
 
-  return {
-    window: tempWindowName,  // Will be renamed to 8-char session_id by hook
-    sessionId: fullSessionId, // Keep the same full UUID
-    channel: channel,
-    workingDir: effectiveDir,
-    created_at: new Date().toISOString(),
-    last_activity: new Date().toISOString(),
-    idle_since: null,
-    status: 'starting'
-  };
+  let current;
+  try {
+    const label = `Before restoring #${checkpoint.id}`;
+    current = target.copy ? await snapshotDirectory(threadTs, target.dir) : await snapshotRepository(target.dir, label);
+  } catch (e) {
+    return { success: false, message: `:x: Couldn't save the current state first: ${gitErrorMessage(e)}` };
+  }
+  if (!current) {
+    return { success: false, message: `:x: Couldn't save the current state first: \`${dir}\` has grown past ${CHECKPOINT_MAX_FILES} files or ${CHECKPOINT_MAX_BYTES / 1024 / 1024} MB.` };
+  }
+  const currentFiles = await snapshotFiles(current);
+  const affected = new Set(changedPaths(currentFiles, targetFiles));
+  if (affected.size === 0) {
+    releaseSnapshot(session, current);
+    return { success: true, message: `:information_source: \`${dir}\` already matches checkpoint #${checkpoint.id}.` };
+  }
+
+  const index = session.checkpoints.indexOf(checkpoint);
+  const later = session.checkpoints.slice(index + 1);
+  const known = session.knownState && await snapshotFiles(session.knownState);
+  const outside = new Set([...later.flatMap(c => c.outside || []), ...(known ? changedPaths(known, currentFiles) : [])]);
+  const overwritten = [...outside].filter(path => affected.has(path));
+  if (overwritten.length > 0 && !force) {
+    releaseSnapshot(session, current);
+    return {
+      success: false,
+      message: `:warning: Restoring checkpoint #${checkpoint.id} would overwrite changes made outside this session:\n` +
+        formatSummaryList(overwritten.map(path => `\`${path}\``)) +
+        `\n\nNothing was changed. Send \`${forceCommand} force\` to restore anyway.`
+    };
+  }
+
+  const marker = {
+    id: session.checkpoints.at(-1).id + 1,
+    at: new Date().toISOString(),
+    text: `state before restoring #${checkpoint.id}`,
+    before: current,
+    outside: [],
+    restore: true,
+  };
+  const dropped = [checkpoint, ...later.filter(c => !c.restore)];
+  const previousKnown = session.knownState;
+  session.checkpoints = [...session.checkpoints.slice(0, index), ...later.filter(c => c.restore), marker];
+  session.knownState = target;
+  for (const c of dropped) releaseSnapshot(session, c.before);
+  releaseSnapshot(session, previousKnown);
+
+  let result;
+  try {
+    result = await applySnapshot(target, currentFiles, targetFiles);
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Restoring checkpoint #${checkpoint.id} in ${target.dir} failed: ${gitErrorMessage(e)}`);
+    return { success: false, message: `:x: Restoring checkpoint #${checkpoint.id} failed part-way: ${gitErrorMessage(e)}\nThe state before it is checkpoint #${marker.id}.` };
+  }
+  console.log(`[${new Date().toISOString()}] Restored checkpoint #${checkpoint.id} in ${target.dir} for thread ${threadTs} (${result.changed.length} written, ${result.removed.length} removed)`);
+
+  const lines = [`:rewind: Restored checkpoint #${checkpoint.id} (${escapeSlackText(describeCheckpoint(checkpoint))}, ${formatRelativeTime(checkpoint.at)}) in \`${dir}\`: ` +
+    `${result.changed.length} file(s) put back, ${result.removed.length} removed.`];
+  if (target.head && current.head && target.head !== current.head) {
+    lines.push(`HEAD moved since (\`${target.head.slice(0, 7)}\` → \`${current.head.slice(0, 7)}\`) and stays there, so the restored files show up as uncommitted changes.`);
+  }
+  lines.push(`Changed your mind? \`!checkpoints restore ${marker.id}\` brings the files back.`);
+  if (session.status !== 'terminated') lines.push("Claude doesn't know about the restore - mention it in your next message if it matters.");
+  return { success: true, message: lines.join('\n') };
+}
+
+function formatCheckpoints(session) {
+  const checkpoints = session.checkpoints || [];
+  if (checkpoints.length === 0) {
+    return ':information_source: No checkpoints yet. One is taken each time a message is sent to Claude ' +
+      `(outside a git repository only while the directory has at most ${CHECKPOINT_MAX_FILES} files).`;
+  }
+  const dir = checkpoints.at(-1).before.dir.replace(process.env.HOME, '~');
+  const lines = checkpoints.map(c => `• \`#${c.id}\` ${formatRelativeTime(c.at)} - ${escapeSlackText(describeCheckpoint(c))}` +
+    (c.outside?.length ? ` _(after ${c.outside.length} file(s) changed outside the session)_` : ''));
+  return `:card_index_dividers: *Checkpoints* of \`${dir}\` (oldest first)\n${lines.join('\n')}\n\n` +
+    '`!undo` goes back to before the last turn, `!checkpoints restore <n>` to any checkpoint.';
+}
+
+// ============================================
+// tmux Helpers
+// ============================================
+
+// Check if tmux session exists
+function tmuxSessionExists() {
+  try {
+    execSync(`tmux has-session -t ${TMUX_SESSION} 2>/dev/null`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Check if tmux window exists (without switching to it)
+function tmuxWindowExists(windowName) {
+  try {
+    const windows = execSync(`tmux list-windows -t ${TMUX_SESSION} -F '#{window_name}'`, { encoding: 'utf-8' });
+    return windows.split('\n').includes(windowName);
+  } catch {
+    return false;
+  }
+}
+
+// What Claude's UI in the window shows (see terminal-state.js)
+async function getTerminalState(windowName) {
+  return classifyTerminal(await capturePaneContentAsync(windowName));
+}
+
+// Wait for Claude to be ready (input box showing), confirming the trust prompt on the way
+// Checks whenever the pane prints something (tmux control mode), at least every CLAUDE_READY_RECHECK
+async function waitForClaudeReady(windowName, maxWaitMs = TIMING.CLAUDE_READY_TIMEOUT) {
+  const deadline = Date.now() + maxWaitMs;
+  let trustConfirmed = false;
+
+  while (Date.now() < deadline) {
+    const { state, message } = classifyTerminal(await capturePaneContentAsync(windowName));
+
+    if (state === 'ready') {
+      console.log(`[${new Date().toISOString()}] Claude ready in window ${windowName}`);
+      // Wait for UI to stabilize before sending input
+      await new Promise(resolve => setTimeout(resolve, TIMING.CLAUDE_READY_SETTLE));
+      return true;
+    }
+
+    // The bridge only starts sessions in allowed directories - trust them
+    if (state === 'trust-prompt' && !trustConfirmed) {
+      try {
+        execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} '1'`);
+        trustConfirmed = true;
+      } catch (e) {
+        // Window may have closed
+      }
+    }
+
+    // Claude won't get ready (quit, or e.g. needs a login) - no point waiting
+    if (state === 'exited' || state === 'error') {
+      console.log(`[${new Date().toISOString()}] Claude in window ${windowName} is not usable (${state}${message ? `: ${message}` : ''})`);
+      return false;
+    }
+
+    await waitForWindowOutput(windowName, Math.min(TIMING.CLAUDE_READY_RECHECK, deadline - Date.now()));
+  }
+
+  console.log(`[${new Date().toISOString()}] Timeout waiting for Claude in window ${windowName}`);
+  return false;
+}
+
+// Send text to a tmux window (false if the pane didn't take it, see typeIntoWindow)
+async function sendToWindow(windowName, text) {
+  // Check if this is an option with additional instructions (e.g., "1 but only this file" or "3 try something else")
+  const optionParsed = parseOptionWithInstructions(text);
+  if (optionParsed.hasInstructions) {
+    const optionNum = parseInt(optionParsed.optionKey, 10);
+    console.log(`[${new Date().toISOString()}] Option ${optionNum} with instructions: "${optionParsed.instructions.substring(0, 50)}..."`);
+
+    // Navigate to the option using Down arrow (option 1 is default)
+    // Pressing digit immediately confirms, so we must use arrow navigation for Tab to work
+    if (optionNum > 1) {
+      for (let i = 1; i < optionNum; i++) {
+        execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Down`);
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      // Small delay after navigation before Tab
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    // Press Tab to open amendment input
+    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Tab`);
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    // Type the instructions
+    const escapedInstructions = optionParsed.instructions.replace(/'/g, "'\\''");
+    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} -l '${escapedInstructions}'`);
+
+    // Wait for text to be processed, then Enter to confirm
+    await new Promise(resolve => setTimeout(resolve, 500));
+    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Enter`);
+    console.log(`[${new Date().toISOString()}] Option ${optionNum} with instructions sent to ${windowName}`);
+    return true;
+  }
+
+  // Check if this is a multi-select input (e.g., "1,2,3" or "1 2 3")
+  const multiSelect = parseMultiSelect(text);
+  if (multiSelect) {
+    await sendMultiSelect(windowName, multiSelect);
+    return true;
+  }
+
+  // Check if this is a "next" command to proceed in multi-step questions
+  if (isNextCommand(text)) {
+    console.log(`[${new Date().toISOString()}] Sending Enter to proceed (next command)`);
+    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Enter`);
+    return true;
+  }
+
+  // Check if this is a simple option selection
+  if (isOptionSelection(text)) {
+    const key = getOptionKey(text);
+    if (key) {
+      console.log(`[${new Date().toISOString()}] Sending option key: ${key}`);
+      execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} '${key}'`);
+      return true;
+    }
+  }
+
+  return typeIntoWindow(windowName, text);
+}
+
+// Text longer than this, or with line breaks, is pasted through a tmux buffer instead of typed
+const PASTE_THRESHOLD = 200;
+
+// Type text literally into a tmux window and submit it (no option/command parsing)
+// Returns false if the pane never showed the input - it is then not submitted
+async function typeIntoWindow(windowName, text) {
+  const target = `${TMUX_SESSION}:${windowName}`;
+  const usePaste = text.includes('\n') || text.length > PASTE_THRESHOLD;
+  console.log(`[${new Date().toISOString()}] Sending to ${windowName}${usePaste ? ` (paste, ${text.length} chars)` : ''}: "${text.substring(0, 50)}..."`);
+
+  const before = await capturePaneContentAsync(windowName);
+  try {
+    if (usePaste) {
+      // Bracketed paste (-p): Claude takes it as one paste, newlines don't submit
+      const buffer = `slack-${windowName}`;
+      execFileSync('tmux', ['load-buffer', '-b', buffer, '-'], { input: text });
+      execFileSync('tmux', ['paste-buffer', '-d', '-p', '-b', buffer, '-t', target]);
+    } else {
+      execFileSync('tmux', ['send-keys', '-t', target, '-l', text]);
+    }
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to send input to ${windowName}: ${e.message}`);
+    return false;
+  }
+
+  // Submit only once the input box shows the text (or the "[Pasted text]" placeholder)
+  if (!await waitForPaneChange(windowName, before, TIMING.INPUT_ACCEPT_TIMEOUT)) {
+    console.log(`[${new Date().toISOString()}] ${windowName} did not take the input, not submitting`);
+    return false;
+  }
+  const typed = await capturePaneContentAsync(windowName);
+  execFileSync('tmux', ['send-keys', '-t', target, 'Enter']);
+
+  // An Enter that arrives while Claude is still taking in a paste is swallowed - press it again
+  if (!await waitForPaneChange(windowName, typed, TIMING.INPUT_SUBMIT_TIMEOUT)) {
+    console.log(`[${new Date().toISOString()}] Input still pending in ${windowName}, sending Enter again`);
+    try {
+      execFileSync('tmux', ['send-keys', '-t', target, 'Enter']);
+    } catch (e) {
+      console.log(`[${new Date().toISOString()}] Error sending second Enter: ${e.message}`);
+    }
+  }
+  console.log(`[${new Date().toISOString()}] Message sent successfully to ${windowName}`);
+  return true;
+}
+
+// Wait until the pane differs from `before` and has stopped changing (false on timeout)
+async function waitForPaneChange(windowName, before, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  let last = before;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, TIMING.INPUT_ACCEPT_POLL));
+    const content = await capturePaneContentAsync(windowName);
+    if (content !== before && content === last) return true;
+    last = content;
+  }
+  return last !== before;
+}
+
+// Inputs above maxInputLength are saved to a file in the thread's temp dir and Claude gets
+// a short prompt pointing to it (pasting megabytes into the TUI is slow and gets truncated)
+function spillOversizedInput(threadTs, text) {
+  const maxLength = config.multiSession.maxInputLength;
+  if (!maxLength || text.length <= maxLength) return text;
+
+  const tempDir = `${TEMP_FILES_DIR}/${threadTs}`;
+  mkdirSync(tempDir, { recursive: true });
+  const filepath = `${tempDir}/message-${Date.now()}.md`;
+  writeFileSync(filepath, text);
+  console.log(`[${new Date().toISOString()}] Input of ${text.length} chars saved to ${filepath}`);
+  return `My message was too long to paste (${text.length} characters), so it is saved in ${filepath}. Read that file and treat its content as my message.`;
+}
+
+// Check if text is an option selection (single digit, "yes", "no", "y", "n")
+function isOptionSelection(text) {
+  const normalized = text.trim().toLowerCase();
+  return /^[1-9]$/.test(normalized) ||
+         ['yes', 'no', 'y', 'n'].includes(normalized);
+}
+
+// Check if text is a rejection option (3, n, no) - Claude won't continue after these
+function isRejectionOption(text) {
+  const normalized = text.trim().toLowerCase();
+  return normalized === '3' || normalized === 'n' || normalized === 'no';
+}
+
+// Check if text is an option with additional instructions (e.g., "1 but only this file" or "3 try something else")
+// Returns { hasInstructions: boolean, optionKey: string, instructions: string }
+function parseOptionWithInstructions(text) {
+  const normalized = text.trim();
+
+  // Match "<digit> <instructions>" or "<digit>. <instructions>"
+  const digitMatch = normalized.match(/^([1-9])\.?\s+(.+)$/s);
+  if (digitMatch) {
+    return { hasInstructions: true, optionKey: digitMatch[1], instructions: digitMatch[2].trim() };
+  }
+
+  // Match "yes <instructions>" or "y <instructions>"
+  const yesMatch = normalized.match(/^(yes|y)\s+(.+)$/is);
+  if (yesMatch) {
+    return { hasInstructions: true, optionKey: '1', instructions: yesMatch[2].trim() };
+  }
+
+  // Match "no <instructions>" or "n <instructions>"
+  const noMatch = normalized.match(/^(no|n)\s+(.+)$/is);
+  if (noMatch) {
+    return { hasInstructions: true, optionKey: '3', instructions: noMatch[2].trim() };
+  }
+
+  return { hasInstructions: false, optionKey: null, instructions: null };
+}
+
+// Get the key to send for an option selection
+function getOptionKey(text) {
+  const normalized = text.trim().toLowerCase();
+  if (/^[1-9]$/.test(normalized)) {
+    return normalized; // Send the digit
+  }
+  if (normalized === 'yes' || normalized === 'y') {
+    return '1'; // Option 1 is typically Yes
+  }
+  if (normalized === 'no' || normalized === 'n') {
+    return '3'; // Option 3 is typically No (or last option)
+  }
+  return null;
+}
+
+// Check if text is a multi-select input (e.g., "1,2,3" or "1 2 3" or "1, 2, 3")
+// Returns array of digit strings if multi-select, null otherwise
+function parseMultiSelect(text) {
+  const normalized = text.trim();
+
+  // Match comma or space separated digits: "1,2,3" or "1 2 3" or "1, 2, 3"
+  const multiMatch = normalized.match(/^(\d+)(?:[,\s]+(\d+))+$/);
+  if (multiMatch) {
+    // Extract all numbers from the string
+    const numbers = normalized.match(/\d+/g);
+    if (numbers && numbers.length > 1) {
+      // Filter to valid option numbers (1-9) and return as strings
+      return numbers.filter(n => {
+        const num = parseInt(n, 10);
+        return num >= 1 && num <= 9;
+      });
+    }
+  }
+
+  return null;
+}
+
+// Check if text is a "next" or "proceed" command
+function isNextCommand(text) {
+  const normalized = text.trim().toLowerCase();
+  return ['next', 'proceed', 'continue', 'done', 'ok'].includes(normalized);
+}
+
+// Send multi-select: toggle each option then press Enter to proceed
+async function sendMultiSelect(windowName, digits) {
+  console.log(`[${new Date().toISOString()}] Multi-select: toggling options ${digits.join(', ')}`);
+
+  for (const digit of digits) {
+    execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} '${digit}'`);
+    // Small delay between toggles for UI to update
+    await new Promise(resolve => setTimeout(resolve, 150));
+  }
+
+  // Press Enter to proceed (select "Next")
+  await new Promise(resolve => setTimeout(resolve, 200));
+  execSync(`tmux send-keys -t ${TMUX_SESSION}:${windowName} Enter`);
+  console.log(`[${new Date().toISOString()}] Multi-select completed, pressed Enter to proceed`);
+}
+
+// ============================================
+// tmux Control Mode (pane output and window events)
+// ============================================
+
+// A `tmux -C` client attached to the bridge's session reports pane output and closed windows
+// as they happen, and runs tmux commands without blocking the event loop. Crash detection,
+// question detection and readiness waits listen to it instead of polling every window.
+// Events: 'output' (window name), 'window-close' (window name)
+const tmuxEvents = new EventEmitter();
+tmuxEvents.setMaxListeners(0);
+
+let tmuxControl = null;              // The control client process while attached
+let tmuxControlAttached = false;     // Logged once per attach / detach, not on every retry
+const tmuxWindowNames = new Map();   // '@3' → window name
+const tmuxPaneWindows = new Map();   // '%7' → '@3'
+const tmuxCommandQueue = [];         // { resolve, reject } per command sent (replies come in order)
+let tmuxReply = null;                // The %begin ... %end block being read
+
+function startTmuxControl() {
+  if (tmuxControl) return;
+
+  // The bridge itself runs inside tmux (window 0) - attaching from there needs $TMUX unset,
+  // but the server it names is the one to attach to
+  const env = { ...process.env };
+  const socket = env.TMUX?.split(',')[0];
+  delete env.TMUX;
+  const args = [...(socket ? ['-S', socket] : []), '-C', 'attach-session', '-t', TMUX_SESSION];
+  const proc = spawn('tmux', args, { env, stdio: ['pipe', 'pipe', 'ignore'] });
+  tmuxControl = proc;
+
+  let buffer = '';
+  proc.stdout.setEncoding('utf-8');
+  proc.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      handleTmuxControlLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+    }
+  });
+
+  proc.on('error', (err) => {
+    console.error(`[${new Date().toISOString()}] tmux control client failed: ${err.message}`);
+  });
+  // Commands written while tmux is exiting (no session to attach to) - the close handler cleans up
+  proc.stdin.on('error', () => {});
+
+  proc.on('close', () => {
+    tmuxControl = null;
+    tmuxReply = null;
+    for (const pending of tmuxCommandQueue.splice(0)) pending.reject(new Error('tmux control client detached'));
+    if (tmuxControlAttached) {
+      console.log(`[${new Date().toISOString()}] tmux control client detached, reattaching...`);
+      tmuxControlAttached = false;
+    }
+    // The tmux session may not exist yet (or was restarted) - keep trying
+    setTimeout(startTmuxControl, TIMING.TMUX_RECONNECT_DELAY);
+  });
+
+  // Learn the windows, then catch up on anything that happened while detached
+  refreshTmuxWindows().then(() => {
+    tmuxControlAttached = true;
+    console.log(`[${new Date().toISOString()}] tmux control client attached to session ${TMUX_SESSION}`);
+    checkSessionWindows();
+    resumeQuestionWatches();
+  }).catch(() => {
+    // Attach failed - the close handler retries
+  });
+}
+
+// One line from the control client: a command reply (%begin ... %end) or a notification
+function handleTmuxControlLine(line) {
+  if (tmuxReply) {
+    // Only the guard with the same time and command number as %begin ends the reply -
+    // captured pane text may contain lines that look like one
+    const [guard, time, number] = line.split(' ');
+    if (!['%end', '%error'].includes(guard) || time !== tmuxReply.time || number !== tmuxReply.number) {
+      tmuxReply.lines.push(line);
+      return;
+    }
+    // Flags 1 = a command this client sent (the attach itself replies with 0)
+    const { ours, lines } = tmuxReply;
+    tmuxReply = null;
+    if (!ours) return;
+    const pending = tmuxCommandQueue.shift();
+    if (line.startsWith('%end')) pending?.resolve(lines);
+    else pending?.reject(new Error(lines.join('\n') || 'tmux command failed'));
+    return;
+  }
+
+  const [type, ...args] = line.split(' ');
+  switch (type) {
+    case '%begin':
+      tmuxReply = { time: args[0], number: args[1], ours: args[2] === '1', lines: [] };
+      break;
+    case '%output': {
+      const name = tmuxWindowNames.get(tmuxPaneWindows.get(args[0]));
+      if (name) tmuxEvents.emit('output', name);
+      break;
+    }
+    case '%window-add':
+      refreshTmuxWindows().catch(() => {});
+      break;
+    case '%window-renamed':
+      tmuxWindowNames.set(args[0], args.slice(1).join(' '));
+      break;
+    case '%window-close':
+    case '%unlinked-window-close': {
+      const name = tmuxWindowNames.get(args[0]);
+      tmuxWindowNames.delete(args[0]);
+      for (const [pane, windowId] of tmuxPaneWindows) {
+        if (windowId === args[0]) tmuxPaneWindows.delete(pane);
+      }
+      if (name) tmuxEvents.emit('window-close', name);
+      break;
+    }
+  }
+}
+
+// Run a tmux command through the control client; resolves with its output lines
+function tmuxCommand(command) {
+  if (!tmuxControl) return Promise.reject(new Error('tmux control client not attached'));
+  return new Promise((resolve, reject) => {
+    tmuxCommandQueue.push({ resolve, reject });
+    tmuxControl.stdin.write(command + '\n');
+  });
+}
+
+async function refreshTmuxWindows() {
+  const lines = await tmuxCommand(`list-panes -s -t ${TMUX_SESSION} -F '#{pane_id} #{window_id} #{window_name}'`);
+  tmuxWindowNames.clear();
+  tmuxPaneWindows.clear();
+  for (const line of lines) {
+    const [pane, windowId, ...name] = line.split(' ');
+    tmuxPaneWindows.set(pane, windowId);
+    tmuxWindowNames.set(windowId, name.join(' '));
+  }
+}
+
+// capture-pane without blocking the event loop: through the control client, or a tmux
+// process while it's detached. `target` is a window or a hook's pane id; '' if it's gone
+async function captureTmuxPane(target, startLine) {
+  const scrollback = startLine === undefined ? [] : ['-S', String(startLine)];
+  try {
+    return (await tmuxCommand(['capture-pane', '-p', '-t', `'${target}'`, ...scrollback].join(' '))).join('\n');
+  } catch {
+    // Not attached (or detached meanwhile) - or the pane is gone, which this confirms
+  }
+  return new Promise((resolve) => {
+    execFile('tmux', ['capture-pane', '-p', '-t', target, ...scrollback], { encoding: 'utf-8' }, (err, stdout) => {
+      resolve(err ? '' : stdout);
+    });
+  });
+}
+
+// Visible content of a session's window
+function capturePaneContentAsync(windowName) {
+  return captureTmuxPane(`${TMUX_SESSION}:${windowName}`);
+}
+
+// Resolve once the window prints something (true), or after timeoutMs without output (false)
+function waitForWindowOutput(windowName, timeoutMs) {
+  return new Promise((resolve) => {
+    const onOutput = (name) => {
+      if (name !== windowName) return;
+      clearTimeout(timer);
+      tmuxEvents.off('output', onOutput);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      tmuxEvents.off('output', onOutput);
+      resolve(false);
+    }, timeoutMs);
+    tmuxEvents.on('output', onOutput);
+  });
+}
+
+// ============================================
+// Slack Helpers
+// ============================================
+
+// Add emoji reaction to a Slack message
+async function addReaction(channel, timestamp, emoji) {
+  try {
+    await app.client.reactions.add({
+      channel: channel,
+      name: emoji,
+      timestamp: timestamp
+    });
+  } catch (e) {
+    // Ignore reaction errors (may already exist)
+  }
+}
+
+// Remove emoji reaction from a Slack message
+async function removeReaction(channel, timestamp, emoji) {
+  try {
+    await app.client.reactions.remove({
+      channel: channel,
+      name: emoji,
+      timestamp: timestamp
+    });
+  } catch (e) {
+    // Ignore reaction errors (may already be gone)
+  }
+}
+
+// Notify user that session has ended (if enabled)
+async function notifySessionEnded(channel, threadTs) {
+  if (!config.multiSession.notifyOnTimeout) return;
+
+  try {
+    await app.client.chat.postMessage({
+      channel: channel,
+      thread_ts: threadTs,
+      text: '⏱️ Session timed out due to inactivity. Send a message to restart.'
+    });
+  } catch (e) {
+    console.error(`Failed to notify session end: ${e.message}`);
+  }
+}
+
+// ============================================
+// File Download Helpers
+// ============================================
+
+// Supported file types that Claude can read
+const SUPPORTED_IMAGE_TYPES = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+const SUPPORTED_DOC_TYPES = ['pdf'];
+const SUPPORTED_TEXT_TYPES = [
+  'txt', 'md', 'json', 'js', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs', 'java',
+  'c', 'cpp', 'h', 'hpp', 'cs', 'php', 'html', 'css', 'scss', 'sass', 'less',
+  'xml', 'yaml', 'yml', 'toml', 'ini', 'conf', 'cfg', 'sh', 'bash', 'zsh',
+  'sql', 'graphql', 'vue', 'svelte', 'astro', 'swift', 'kt', 'scala', 'clj',
+  'ex', 'exs', 'erl', 'hs', 'ml', 'fs', 'r', 'jl', 'lua', 'pl', 'pm', 'rake',
+  'gemspec', 'podspec', 'gradle', 'cmake', 'makefile', 'dockerfile', 'env',
+  'gitignore', 'editorconfig', 'prettierrc', 'eslintrc', 'babelrc'
+];
+
+// Check if file type is supported by Claude
+function isFileSupported(filename) {
+  const ext = filename.toLowerCase().split('.').pop() || '';
+  const basename = filename.toLowerCase();
+
+  // Check known extensions
+  if (SUPPORTED_IMAGE_TYPES.includes(ext)) return { supported: true, type: 'image' };
+  if (SUPPORTED_DOC_TYPES.includes(ext)) return { supported: true, type: 'document' };
+  if (SUPPORTED_TEXT_TYPES.includes(ext)) return { supported: true, type: 'text' };
+
+  // Check common filenames without extensions
+  const knownFiles = ['makefile', 'dockerfile', 'gemfile', 'rakefile', 'procfile'];
+  if (knownFiles.includes(basename)) return { supported: true, type: 'text' };
+
+  return { supported: false, type: 'unknown' };
+}
+
+// Download a file from Slack to local temp directory
+async function downloadSlackFile(file, threadTs) {
+  const tempDir = `/tmp/claude-slack-files/${threadTs}`;
+  mkdirSync(tempDir, { recursive: true });
+
+  // Generate unique filename
+  let filename = file.name || `file-${Date.now()}`;
+  let filepath = `${tempDir}/${filename}`;
+
+  // Handle duplicate names
+  let counter = 1;
+  while (existsSync(filepath)) {
+    const ext = filename.includes('.') ? filename.slice(filename.lastIndexOf('.')) : '';
+    const base = filename.includes('.') ? filename.slice(0, filename.lastIndexOf('.')) : filename;
+    filepath = `${tempDir}/${base}-${counter}${ext}`;
+    counter++;
+  }
+
+  // Download with auth
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TIMING.FILE_DOWNLOAD_TIMEOUT);
+
+  let response;
+  try {
+    response = await fetch(file.url_private_download, {
+      headers: { 'Authorization': `Bearer ${config.botToken}` },
+      signal: controller.signal
+    });
+  } catch (e) {
+    clearTimeout(timeout);
+    console.error(`Failed to download ${file.name}: ${e.message}`);
+    return null;
+  }
+  clearTimeout(timeout);
+
+  if (!response.ok) {
+    console.error(`Failed to download ${file.name}: ${response.status}`);
+    return null;
+  }
+
+  // Stream to file
+  const fileStream = createWriteStream(filepath);
+  await pipeline(response.body, fileStream);
+
+  console.log(`Downloaded: ${file.name} -> ${filepath}`);
+  return filepath;
+}
+
+// ============================================
+// Session Lifecycle
+// ============================================
+
+// Build the claude command line for a session (model from the project registry or model=)
+function buildClaudeCommand(threadTs, channel, model, extraArgs = '', options = {}) {
+  const env = `CLAUDE_THREAD_TS=${threadTs} CLAUDE_SLACK_CHANNEL=${channel}`;
+  // Model names go through tmux send-keys unquoted - only allow plain identifiers
+  const modelArg = model && MODEL_NAME.test(model) ? ` --model ${model}` : '';
+  if (model && !modelArg) {
+    console.log(`[${new Date().toISOString()}] Ignoring invalid model name: ${model}`);
+  }
+  // Paths and tool patterns are double-quoted (validated by resolveSessionOptions)
+  const optionArgs = claudeOptionArgs(options).map(arg => /^[\w.,:\/=@+-]+$/.test(arg) ? ` ${arg}` : ` "${arg}"`).join('');
+  return `${env} claude${modelArg}${optionArgs}${extraArgs}`;
+}
+
+// `worktree`: run in a new git worktree of workingDir's repository (throws if it can't be created)
+// `options`: CLI options from resolveSessionOptions(), stored on the session for resurrection
+async function createSession(threadTs, channel, workingDir, model = null, backend = 'tmux', { options = {} } = {}) {
+  if (backend === 'stream') {
+    const session = await createStreamSession(threadTs, channel, workingDir, model, null, options);
+    if (Object.keys(options).length > 0) session.options = options;
+    return session;
+  }
+
+  const gitBaseline = await captureGitBaseline(workingDir || process.env.HOME);
+
+  // Use temporary window name until Claude reports its session_id
+  const tempWindowName = `new-${windowIndex++}`;
+
+  // Create new tmux window (in background)
+  execSync(`tmux new-window -d -t ${TMUX_SESSION}: -n ${tempWindowName}`);
+
+  // Small delay to ensure window is fully created
+  await new Promise(resolve => setTimeout(resolve, TIMING.WINDOW_CREATE_DELAY));
+
+  // Change to working directory first (use double quotes for paths with spaces)
+  if (workingDir) {
+    execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} 'cd "${workingDir}"' Enter`);
+  }
+
+  // Start Claude in the window with environment variables (for tool isolation)
+  const claudeCmd = buildClaudeCommand(threadTs, channel, model, '', options);
+  execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} '${claudeCmd}' Enter`);
+
+  // The trust prompt is confirmed by waitForClaudeReady()
+
+  return {
+    window: tempWindowName,  // Will be updated to 8-char session_id by hook
+    sessionId: null,         // Will be set to full UUID by hook on first response
+    channel: channel,
+    workingDir: workingDir || process.env.HOME,
+    ...(Object.keys(options).length > 0 ? { options } : {}),
+    gitBaseline,
+    created_at: new Date().toISOString(),
+    last_activity: new Date().toISOString(),
+    idle_since: null,
+    status: 'starting'
+  };
+}
+
+// Headless session: spawn `claude -p` (window name is a placeholder until system/init)
+async function createStreamSession(threadTs, channel, workingDir, model, resumeId = null, options = {}, { fork = false } = {}) {
+  const effectiveDir = workingDir || process.env.HOME;
+  const gitBaseline = await captureGitBaseline(effectiveDir);
+  startStreamProcess(threadTs, channel, effectiveDir, { model, resumeId, options, fork });
+
+  return {
+    window: resumeId && !fork ? resumeId.slice(0, 8) : `stream-${windowIndex++}`,
+    sessionId: fork ? null : resumeId,
+    backend: 'stream',
+    channel: channel,
+    workingDir: effectiveDir,
+    gitBaseline,
+    created_at: new Date().toISOString(),
+    last_activity: new Date().toISOString(),
+    idle_since: null,
+    status: 'starting'
+  };
+}
+
+// Session fields that survive resurrection (settings and ownership, not runtime state)
+const RESURRECT_KEEP_FIELDS = ['project', 'model', 'options', 'idleTimeoutMinutes', 'owner', 'participants', 'worktree', 'forkOf', 'forkedFrom', 'forks', 'checkpoints', 'knownState'];
+
+// `fork`: continue as a new session (--fork-session); its id arrives like a new session's
+async function resurrectSession(threadTs, channel, fullSessionId, workingDir, model = null, backend = 'tmux', options = {}, { fork = false } = {}) {
+  if (backend === 'stream') {
+    const effectiveDir = workingDir || loadSessions()[threadTs]?.workingDir || process.env.HOME;
+    return createStreamSession(threadTs, channel, effectiveDir, model, fullSessionId, options, { fork });
+  }
+
+  const tempWindowName = `new-${windowIndex++}`;
+
+  // Create new tmux window (in background)
+  execSync(`tmux new-window -d -t ${TMUX_SESSION}: -n ${tempWindowName}`);
+
+  // Small delay to ensure window is fully created
+  await new Promise(resolve => setTimeout(resolve, TIMING.WINDOW_CREATE_DELAY));
+
+  // Change to working directory (use stored dir from original session)
+  const sessions = loadSessions();
+  const effectiveDir = workingDir || sessions[threadTs]?.workingDir || process.env.HOME;
+  const gitBaseline = await captureGitBaseline(effectiveDir);
+  execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} 'cd "${effectiveDir}"' Enter`);
+
+  // Resume previous Claude session using full UUID
+  const claudeCmd = buildClaudeCommand(threadTs, channel, model, ` --resume ${fullSessionId}${fork ? ' --fork-session' : ''}`, options);
+  execSync(`tmux send-keys -t ${TMUX_SESSION}:${tempWindowName} '${claudeCmd}' Enter`);
+
+  // The trust prompt is confirmed by waitForClaudeReady()
+
+  return {
+    window: tempWindowName,  // Will be renamed to 8-char session_id by hook
+    sessionId: fork ? null : fullSessionId, // Keep the same full UUID (a fork gets its own from the hook)
+    channel: channel,
+    workingDir: effectiveDir,
+    gitBaseline,
+    created_at: new Date().toISOString(),
+    last_activity: new Date().toISOString(),
+    idle_since: null,
+    status: 'starting'
+  };
+}
+
+function terminateSession(threadTs, session) {
+  if (isStreamSession(session)) {
+    // Stop the headless process (its exit handler sees `killed` and stays quiet)
+    const state = streamSessions.get(threadTs);
+    if (state) {
+      state.killed = true;
+      state.proc.kill('SIGTERM');
+    }
+  } else {
+    // Kill the tmux window
+    try {
+      execSync(`tmux kill-window -t ${TMUX_SESSION}:${session.window}`);
+    } catch (e) {
+      // Window may already be gone
+    }
+  }
+
+  // Note: temp files are NOT deleted here to allow session resurrection
+  // Old temp files are cleaned up by startTempFileCleanupInterval()
+
+  // Update session status
+  const sessions = loadSessions();
+  if (sessions[threadTs]) {
+    sessions[threadTs].status = 'terminated';
+    saveSessions(sessions);
+  }
+
+  // Notify in Slack thread: ended, what changed, what to do with a worktree branch
+  notifySessionEnded(session.channel, threadTs)
+    .then(() => postChangeSummary(threadTs, session))
+    .then(() => offerWorktreeCleanup(threadTs, session));
+
+  console.log(`[${new Date().toISOString()}] Session ${session.window} terminated (thread: ${threadTs})`);
+
+  // Messages held for this session won't be delivered
+  dropHeldInput(threadTs, 'the session ended');
+  finishTurnProgress(threadTs);
+
+  // A slot is free - start the next queued session
+  processSessionQueue();
+}
+
+// Switch the model of a session (!model): headless sessions take a control request, tmux ones
+// the /model command while the input box is up. Stored for resurrection once it applied
+// Returns { success, message }
+async function changeSessionModel(threadTs, session, model) {
+  if (session.status !== 'terminated') {
+    try {
+      if (isStreamSession(session)) {
+        sendStreamControlRequest(threadTs, { subtype: 'set_model', model });
+      } else {
+        const { state } = await getTerminalState(session.window);
+        if (state !== 'ready') {
+          return { success: false, message: `:hourglass: Claude is ${state === 'busy' ? 'working' : 'not at its prompt'} - try again when it's done.` };
+        }
+        if (!await typeIntoWindow(session.window, `/model ${model}`)) {
+          return { success: false, message: ':warning: Claude did not take the `/model` command.' };
+        }
+      }
+    } catch (e) {
+      return { success: false, message: `:warning: Couldn't switch the model: ${e.message}` };
+    }
+  }
+
+  updateStoredSession(threadTs, s => { s.model = model; });
+  console.log(`[${new Date().toISOString()}] Session ${session.window} model set to ${model}`);
+  return session.status === 'terminated'
+    ? { success: true, message: `:brain: Model set to \`${model}\` for when the session restarts.` }
+    : { success: true, message: `:brain: Switched to \`${model}\`.` };
+}
+
+// Switch the permission mode of a session (!mode): headless sessions take a control request,
+// tmux ones cycle with Shift+Tab until the footer shows the mode (see detectPermissionMode)
+async function changeSessionMode(threadTs, session, mode) {
+  if (session.status !== 'terminated') {
+    try {
+      if (isStreamSession(session)) {
+        sendStreamControlRequest(threadTs, { subtype: 'set_permission_mode', mode });
+      } else {
+        const content = await capturePaneContentAsync(session.window);
+        const { state } = classifyTerminal(content);
+        if (state !== 'ready' && state !== 'busy') {
+          return { success: false, message: ':hourglass: Claude is not at its prompt - try again when the session is up.' };
+        }
+        // default → acceptEdits → plan (→ bypassPermissions) → default; back at the start = not offered
+        const startMode = detectPermissionMode(content);
+        let current = startMode;
+        while (current !== mode) {
+          execFileSync('tmux', ['send-keys', '-t', `${TMUX_SESSION}:${session.window}`, 'BTab']);
+          await waitForWindowOutput(session.window, TIMING.MODE_SWITCH_TIMEOUT);
+          current = detectPermissionMode(await capturePaneContentAsync(session.window));
+          if (current === startMode) {
+            return { success: false, message: `:warning: This session doesn't offer \`${mode}\` (bypassPermissions has to be chosen at the start: \`mode=bypassPermissions\`).` };
+          }
+        }
+      }
+    } catch (e) {
+      return { success: false, message: `:warning: Couldn't switch the mode: ${e.message}` };
+    }
+  }
+
+  updateStoredSession(threadTs, s => {
+    s.options = { ...s.options, mode };
+  });
+  console.log(`[${new Date().toISOString()}] Session ${session.window} permission mode set to ${mode}`);
+  return session.status === 'terminated'
+    ? { success: true, message: `:shield: Mode set to \`${mode}\` for when the session restarts.` }
+    : { success: true, message: `:shield: Switched to \`${mode}\`.` };
+}
+
+// "model `opus`, mode `plan`, add-dir `~/shared`" for !status
+function formatSessionOptions(session) {
+  const dirs = (session.options?.addDirs || []).map(d => `\`${d.replace(process.env.HOME, '~')}\``);
+  return [
+    session.model && `model \`${session.model}\``,
+    session.options?.mode && `mode \`${session.options.mode}\``,
+    dirs.length > 0 && `add-dir ${dirs.join(', ')}`,
+    session.options?.tools && `tools \`${session.options.tools}\``,
+  ].filter(Boolean).join(', ');
+}
+
+// ============================================
+// Stream-JSON Backend (headless Claude, no tmux)
+// ============================================
+
+// Sessions with backend "stream" run `claude -p` with stream-json input/output instead of the TUI.
+// The bridge reads structured events (assistant text, tool calls, permission requests, session id)
+// and answers permission requests over the same pipe. Processes die with the bridge; the
+// thread resurrects with --resume like a tmux session.
+
+// threadTs → { proc, buffer, chain, killed, permission, question }
+const streamSessions = new Map();
+
+const SESSION_BACKENDS = ['tmux', 'stream'];
+
+function isStreamSession(session) {
+  return session?.backend === 'stream';
+}
+
+// Pick the backend: [dir +stream] / [dir +tmux] flag, then project, then config
+function resolveBackend(flags, project) {
+  const flagged = flags.map(f => f.toLowerCase()).find(f => SESSION_BACKENDS.includes(f));
+  const backend = flagged || project?.backend || config.multiSession.backend;
+  return SESSION_BACKENDS.includes(backend) ? backend : 'tmux';
+}
+
+// Spawn a headless Claude for a thread and wire its events to Slack
+function startStreamProcess(threadTs, channel, workingDir, { model, resumeId, options, fork } = {}) {
+  const args = [
+    '-p',
+    '--input-format', 'stream-json',
+    '--output-format', 'stream-json',
+    '--verbose',
+    // Permission requests arrive as control_request events on stdout
+    '--permission-prompt-tool', 'stdio',
+  ];
+  if (model && MODEL_NAME.test(model)) args.push('--model', model);
+  args.push(...claudeOptionArgs(options));
+  if (resumeId) args.push('--resume', resumeId);
+  if (resumeId && fork) args.push('--fork-session');
+
+  // No TMUX in the environment: the notification hooks only act inside the bridge's tmux
+  // session, so they stay quiet and the bridge posts for this session itself
+  const env = { ...process.env, CLAUDE_THREAD_TS: threadTs, CLAUDE_SLACK_CHANNEL: channel };
+  delete env.TMUX;
+  delete env.TMUX_PANE;
+
+  const proc = spawn('claude', args, { cwd: workingDir, env, stdio: ['pipe', 'pipe', 'pipe'] });
+  const state = { proc, buffer: '', chain: Promise.resolve(), killed: false, permission: null, question: null };
+  streamSessions.set(threadTs, state);
+
+  proc.stdout.setEncoding('utf-8');
+  proc.stdout.on('data', (chunk) => {
+    state.buffer += chunk;
+    const lines = state.buffer.split('\n');
+    state.buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        console.error(`[${new Date().toISOString()}] Unparseable stream event for ${threadTs}: ${line.slice(0, 200)}`);
+        continue;
+      }
+      // Handle events one at a time so Slack posts keep their order
+      state.chain = state.chain
+        .then(() => handleStreamEvent(threadTs, event))
+        .catch(e => console.error(`[${new Date().toISOString()}] Stream event error (${threadTs}): ${e.message}`));
+    }
+  });
+
+  proc.stderr.on('data', (data) => {
+    console.error(`[${new Date().toISOString()}] claude (${threadTs}): ${data.toString().trim()}`);
+  });
+
+  proc.on('error', (e) => {
+    console.error(`[${new Date().toISOString()}] Failed to run claude for ${threadTs}: ${e.message}`);
+    // A failed spawn (e.g. claude not on PATH) may never emit 'exit'
+    state.chain = state.chain.then(() => handleStreamExit(threadTs, state, null));
+  });
+
+  // Writing to a process that already died must not crash the bridge
+  proc.stdin.on('error', (e) => {
+    console.error(`[${new Date().toISOString()}] Write to claude failed (${threadTs}): ${e.message}`);
+  });
+
+  proc.on('exit', (code) => {
+    state.chain = state.chain.then(() => handleStreamExit(threadTs, state, code));
+  });
+
+  console.log(`[${new Date().toISOString()}] Started headless claude (pid ${proc.pid}) for thread ${threadTs}`);
+  return proc;
+}
+
+// Write one JSON line to a headless session's stdin
+function writeStreamLine(threadTs, payload) {
+  const state = streamSessions.get(threadTs);
+  if (!state || state.exited || state.proc.exitCode !== null || !state.proc.stdin.writable) {
+    throw new Error('headless session is not running');
+  }
+  state.proc.stdin.write(JSON.stringify(payload) + '\n');
+}
+
+function sendStreamMessage(threadTs, text) {
+  writeStreamLine(threadTs, {
+    type: 'user',
+    message: { role: 'user', content: [{ type: 'text', text }] }
+  });
+}
+
+function sendStreamControlResponse(threadTs, requestId, response) {
+  writeStreamLine(threadTs, {
+    type: 'control_response',
+    response: { subtype: 'success', request_id: requestId, response }
+  });
+}
+
+// Requests from the bridge to Claude (set_model, set_permission_mode); Claude's answer is not awaited
+function sendStreamControlRequest(threadTs, request) {
+  writeStreamLine(threadTs, {
+    type: 'control_request',
+    request_id: `bridge-${Date.now()}`,
+    request
+  });
+}
+
+// One-line description of a tool call, like the TUI's ● Tool(...) line
+function summarizeToolInput(name, input = {}) {
+  const detail = input.command || input.file_path || input.notebook_path || input.pattern ||
+    input.url || input.query || input.description || JSON.stringify(input);
+  return `${name}(${truncateText(String(detail).replace(/\s+/g, ' '), 150)})`;
+}
+
+// Post text in a session thread, split between blocks to fit Slack's message size
+async function postToSessionThread(threadTs, channel, text, { blocks } = {}) {
+  const chunks = splitMessage(text);
+
+  let lastTs = null;
+  for (const chunk of chunks) {
+    try {
+      const result = await app.client.chat.postMessage({
+        channel,
+        ...(threadTs ? { thread_ts: threadTs } : {}),
+        text: chunk,
+        ...(blocks && chunks.length === 1 ? { blocks } : {}),
+        unfurl_links: false
+      });
+      lastTs = result.ts;
+      const sessions = loadSessions();
+      if (threadTs && sessions[threadTs]) {
+        trackSessionMessage(sessions[threadTs], result.ts);
+        saveSessions(sessions);
+      }
+    } catch (e) {
+      console.error(`Failed to post to thread ${threadTs}: ${e.message}`);
+    }
+  }
+  return lastTs;
+}
+
+// Update the stored session from inside an event handler
+function updateStoredSession(threadTs, update) {
+  const sessions = loadSessions();
+  if (!sessions[threadTs]) return null;
+  update(sessions[threadTs]);
+  saveSessions(sessions);
+  return sessions[threadTs];
+}
+
+async function handleStreamEvent(threadTs, event) {
+  const session = loadSessions()[threadTs];
+  if (!session) return;
+
+  // system/init: the session id is known - name the "window" after it like tmux sessions
+  if (event.type === 'system' && event.subtype === 'init') {
+    updateStoredSession(threadTs, s => {
+      s.sessionId = event.session_id;
+      s.window = event.session_id.slice(0, 8);
+      if (s.status === 'starting') s.status = 'active';
+    });
+    console.log(`[${new Date().toISOString()}] Headless session ${event.session_id} ready for thread ${threadTs}`);
+    return;
+  }
+
+  // assistant: post text, show tool calls in the progress message
+  if (event.type === 'assistant') {
+    for (const block of event.message?.content || []) {
+      if (block.type === 'text' && block.text?.trim()) {
+        await postToSessionThread(threadTs, session.channel, markdownToMrkdwn(block.text.trim()));
+      } else if (block.type === 'tool_use' && block.name !== 'AskUserQuestion') {
+        progressToolStarted(threadTs, session.channel, block.id, block.name, block.input);
+      }
+    }
+    return;
+  }
+
+  // user: tool results
+  if (event.type === 'user') {
+    for (const block of event.message?.content || []) {
+      if (block.type === 'tool_result') progressToolFinished(threadTs, block.tool_use_id);
+    }
+    return;
+  }
+
+  // control_request/can_use_tool: Claude wants to run a tool (or ask a question)
+  if (event.type === 'control_request' && event.request?.subtype === 'can_use_tool') {
+    const { tool_name: toolName, input } = event.request;
+    if (toolName === 'AskUserQuestion' && Array.isArray(input?.questions) && input.questions.length > 0) {
+      await startStreamQuestion(threadTs, session, event.request_id, input);
+    } else {
+      await postStreamPermission(threadTs, session, event.request_id, event.request);
+    }
+    return;
+  }
+
+  // result: the turn is over
+  if (event.type === 'result') {
+    const updated = updateStoredSession(threadTs, s => {
+      s.status = 'idle';
+      s.idle_since = new Date().toISOString();
+      s.last_activity = s.idle_since;
+      if (event.session_id) s.sessionId = event.session_id;
+      delete s.busy;
+      delete s.busy_since;
+    });
+    if (updated?.lastMessageTs) {
+      await removeReaction(updated.channel, updated.lastMessageTs, 'eyes');
+      updateStoredSession(threadTs, s => { delete s.lastMessageTs; });
+    }
+    await finishTurnProgress(threadTs);
+    recordTurnEnd(threadTs);
+    if (event.is_error) {
+      await postToSessionThread(threadTs, session.channel, `:warning: Claude stopped with an error: ${event.subtype}${event.result ? `\n${event.result}` : ''}`);
+    }
+    deliverHeldInput(threadTs);
+  }
+}
+
+async function handleStreamExit(threadTs, state, code) {
+  if (state.exited) return;  // 'error' and 'exit' can both fire
+  state.exited = true;
+  if (streamSessions.get(threadTs) === state) streamSessions.delete(threadTs);
+  console.log(`[${new Date().toISOString()}] Headless claude for thread ${threadTs} exited (code ${code})`);
+  if (state.killed) return;  // terminateSession already updated the session
+
+  const sessions = loadSessions();
+  const session = sessions[threadTs];
+  if (!session || session.status === 'terminated') return;
+  session.status = 'terminated';
+  clearTurnFlags(session);
+  saveSessions(sessions);
+
+  await endCrashedSession(threadTs, session.channel, 'headless claude exited');
+  processSessionQueue();
+}
+
+// Post a permission request with the same buttons as tmux sessions (see handleHookEvent)
+async function postStreamPermission(threadTs, session, requestId, request) {
+  const state = streamSessions.get(threadTs);
+  if (!state) return;
+  state.permission = { requestId, input: request.input, suggestions: request.permission_suggestions };
+
+  const cwd = session.workingDir?.split('/').pop() || 'unknown';
+  const header = `:lock: Claude Code needs permission to proceed\n:file_folder: Project: \`${cwd}\` | Session: \`${session.window}\``;
+  const detail = request.input?.command || request.input?.content || request.input?.new_string || '';
+  const prompt = `● ${summarizeToolInput(request.tool_name, request.input)}` +
+    (detail ? `\n\n${truncateText(String(detail), 2000)}` : '') +
+    `\n\nDo you want to proceed?\n❯ 1. Yes\n  2. Yes, and don't ask again\n  3. No, and tell Claude what to do differently`;
+
+  const blocks = buildPermissionBlocks(header, prompt, threadTs, 3);
+
+  if (session.lastMessageTs) {
+    await removeReaction(session.channel, session.lastMessageTs, 'eyes');
+  }
+  const ts = await postToSessionThread(threadTs, session.channel, header, { blocks });
+  updateStoredSession(threadTs, s => {
+    s.pendingPermission = true;
+    if (ts) s.permissionMessage = { ts, channel: s.channel, header, prompt, lastOption: 3 };
+  });
+}
+
+// Answer the pending permission request of a headless session
+function respondToStreamPermission(threadTs, decision, instructions) {
+  const state = streamSessions.get(threadTs);
+  if (!state?.permission) throw new Error('no pending permission request');
+  const { requestId, input, suggestions } = state.permission;
+
+  let response;
+  if (decision === 'approve') {
+    response = { behavior: 'allow', updatedInput: input };
+  } else if (decision === 'approve_always') {
+    response = { behavior: 'allow', updatedInput: input, ...(suggestions ? { updatedPermissions: suggestions } : {}) };
+  } else if (decision === 'reject_instructions') {
+    response = { behavior: 'deny', message: `The user rejected this tool use and said: ${instructions}` };
+  } else {
+    // Plain reject stops the turn, like Escape in the TUI
+    response = { behavior: 'deny', message: 'The user rejected this tool use.', interrupt: true };
+  }
+
+  sendStreamControlResponse(threadTs, requestId, response);
+  state.permission = null;
+}
+
+// AskUserQuestion: show its questions one at a time with the regular question form,
+// then answer the tool call with all answers at once
+async function startStreamQuestion(threadTs, session, requestId, input) {
+  const state = streamSessions.get(threadTs);
+  if (!state) return;
+  state.question = { requestId, input, index: 0, answers: {} };
+  await postQuestionToSlack(session.channel, threadTs, getStreamQuestionData(threadTs), session);
+}
+
+// Current AskUserQuestion step in the shape captureQuestionFromTerminal() returns
+function getStreamQuestionData(threadTs) {
+  const question = streamSessions.get(threadTs)?.question;
+  if (!question) return null;
+  const q = question.input.questions[question.index];
+  const choices = (q.options || []).map((o, i) => ({ key: String(i + 1), label: o.label, description: o.description || '', checked: false }));
+  return {
+    question: q.question,
+    choices,
+    multiSelect: !!q.multiSelect,
+    freeTextKey: null,
+    proceedKey: null,
+    full: [q.question, ...choices.map(c => `${c.key}. ${c.label}`)].join('\n')
+  };
+}
+
+// Record the answer to the current step; returns true once every question is answered
+function answerStreamQuestion(threadTs, answerText) {
+  const state = streamSessions.get(threadTs);
+  if (!state?.question) throw new Error('no pending question');
+  const { input, answers } = state.question;
+  answers[input.questions[state.question.index].question] = answerText;
+  state.question.index++;
+
+  if (state.question.index < input.questions.length) return false;
+
+  sendStreamControlResponse(threadTs, state.question.requestId, { behavior: 'allow', updatedInput: { ...input, answers } });
+  state.question = null;
+  return true;
+}
+
+// Show the next AskUserQuestion step (replaces the previous form)
+async function postNextStreamQuestion(threadTs) {
+  const session = loadSessions()[threadTs];
+  const questionData = getStreamQuestionData(threadTs);
+  if (session && questionData) {
+    await postQuestionToSlack(session.channel, threadTs, questionData, session);
+  }
+}
+
+// A thread reply to a headless session: answer a pending prompt, or send it as the next prompt
+async function handleStreamMessage(threadTs, message, channel, messageText) {
+  // Attachments: headless Claude can't take pastes - give it the paths to read
+  const filePaths = [];
+  for (const file of message.files || []) {
+    if (isFileSupported(file.name || '').supported) {
+      const localPath = await downloadSlackFile(file, threadTs);
+      if (localPath) filePaths.push(localPath);
+    } else {
+      messageText += `\n\n[Unsupported file type: ${file.name || 'unknown'}]`;
+    }
+  }
+  if (filePaths.length > 0) {
+    messageText = `${messageText}\n\nAttached files:\n${filePaths.join('\n')}`.trim();
+  }
+
+  await addReaction(channel, message.ts, 'eyes');
+  // Events from the process update the stored session too - modify the latest copy
+  const session = updateStoredSession(threadTs, s => {
+    s.last_activity = new Date().toISOString();
+    s.idle_since = null;
+    if (s.status !== 'starting') s.status = 'active';
+    s.lastMessageTs = message.ts;
+    trackSessionMessage(s, message.ts);
+  });
+  if (!session) return;
+
+  const reply = messageText.trim();
+  try {
+    if (session.pendingPermission) {
+      // Like the tmux prompt: 1 / 2 approve, 3 (or no) alone rejects, "3 <text>" or any other text rejects with instructions
+      const { optionKey, instructions } = parseOptionWithInstructions(reply);
+      const option = reply.toLowerCase();
+      const decision = ['1', 'y', 'yes'].includes(option) ? 'approve'
+        : option === '2' ? 'approve_always'
+        : isRejectionOption(reply) ? 'reject'
+        : 'reject_instructions';
+      await decidePermission(threadTs, session, decision, message.user,
+        decision === 'reject_instructions' ? (optionKey === '3' ? instructions : reply) : null);
+      return;
+    }
+
+    const questionData = session.pendingQuestion && getStreamQuestionData(threadTs);
+    if (questionData) {
+      const keys = reply.split(/[\s,]+/);
+      const picked = questionData.choices.filter(c => keys.includes(c.key));
+      const answer = picked.length > 0 && picked.length === keys.length ? { keys: picked.map(c => c.key) } : { text: reply };
+      await answerQuestion(threadTs, session, questionData, answer, message.user);
+      return;
+    }
+    if (session.pendingQuestion) {
+      // Nothing to answer any more - the reply is a new prompt
+      clearStaleStreamQuestion(threadTs);
+      await postToSessionThread(threadTs, channel, ':information_source: Claude\'s question is no longer open - sending your reply as a new message.');
+    }
+
+    updateStoredSession(threadTs, s => {
+      s.busy = true;
+      s.busy_since = new Date().toISOString();
+    });
+    console.log(`[${new Date().toISOString()}] Sending text to headless session: ${reply.substring(0, 50)}...`);
+    sendStreamMessage(threadTs, reply);
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to send to headless session: ${e.message}`);
+    await removeReaction(channel, message.ts, 'eyes');
+    await postToSessionThread(threadTs, channel, `:warning: Couldn't reach Claude: ${e.message}`);
+  }
+}
+
+// ============================================
+// Session Queue (waiting for a free slot)
+// ============================================
+
+// FIFO of threads waiting for a session slot (in memory - lost on bridge restart)
+// Entry: { threadTs, channel, userId, messages: [message...], queuedAt, noticeTs }
+const sessionQueue = [];
+
+function getActiveSessionCount() {
+  return Object.values(loadSessions()).filter(s => s.status !== 'terminated').length;
+}
+
+function formatQueueNotice(position) {
+  const slots = config.multiSession.maxConcurrent;
+  return `:hourglass_flowing_sand: All ${slots} session slots are busy. You're *#${position}* in the queue - ` +
+    `your session starts automatically when a slot frees up. (\`!queue\` to see or cancel)`;
+}
+
+// Add a message to the queue (or to its thread's existing entry); posts/updates the position notice
+async function enqueueSession(message, channel, { front = false } = {}) {
+  const threadTs = message.thread_ts || message.ts;
+  const existing = sessionQueue.find(e => e.threadTs === threadTs);
+
+  if (existing) {
+    if (!existing.messages.includes(message)) existing.messages.push(message);
+    const position = sessionQueue.indexOf(existing) + 1;
+    await sayEphemeral(channel, message.user, threadTs, `:hourglass_flowing_sand: Still waiting (#${position}) - this message will be sent when the session starts.`);
+    return;
+  }
+
+  const entry = { threadTs, channel, userId: message.user, messages: [message], queuedAt: new Date().toISOString(), noticeTs: null };
+  if (front) {
+    sessionQueue.unshift(entry);
+  } else {
+    sessionQueue.push(entry);
+  }
+
+  const position = sessionQueue.indexOf(entry) + 1;
+  console.log(`[${new Date().toISOString()}] Queued thread ${threadTs} at position ${position}`);
+
+  try {
+    const result = await app.client.chat.postMessage({ channel, thread_ts: threadTs, text: formatQueueNotice(position) });
+    entry.noticeTs = result.ts;
+  } catch (e) {
+    console.error(`Failed to post queue notice: ${e.message}`);
+  }
+
+  if (front) await updateQueuePositions();
+}
+
+// Refresh the position shown in each waiting thread
+async function updateQueuePositions() {
+  for (const [i, entry] of sessionQueue.entries()) {
+    if (!entry.noticeTs) continue;
+    try {
+      await app.client.chat.update({ channel: entry.channel, ts: entry.noticeTs, text: formatQueueNotice(i + 1) });
+    } catch (e) {
+      console.error(`Failed to update queue notice: ${e.message}`);
+    }
+  }
+}
+
+// Replace a queue notice with a final state (started / cancelled)
+async function closeQueueNotice(entry, text) {
+  if (!entry.noticeTs) return;
+  try {
+    await app.client.chat.update({ channel: entry.channel, ts: entry.noticeTs, text });
+  } catch (e) {
+    console.error(`Failed to update queue notice: ${e.message}`);
+  }
+}
+
+// Start queued sessions while there are free slots
+let processingQueue = false;
+async function processSessionQueue() {
+  // Several sessions can end at once; one pass at a time keeps the order
+  if (processingQueue) return;
+  processingQueue = true;
+
+  try {
+    while (sessionQueue.length > 0 && getActiveSessionCount() < config.multiSession.maxConcurrent) {
+      const entry = sessionQueue.shift();
+      console.log(`[${new Date().toISOString()}] Starting queued session for thread ${entry.threadTs}`);
+      await closeQueueNotice(entry, ':arrow_forward: A slot is free - starting your session.');
+
+      // Bolt's say() equivalent for messages replayed outside their event
+      const say = (msg) => app.client.chat.postMessage({ channel: entry.channel, ...(typeof msg === 'string' ? { text: msg } : msg) });
+      for (const message of entry.messages) {
+        await handleMessage(message, entry.channel, say, { fromQueue: true });
+      }
+    }
+    await updateQueuePositions();
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to process session queue: ${e.message}`);
+  } finally {
+    processingQueue = false;
+  }
+}
+
+// Remove a queue entry by position (1-based); only the requester or an admin may cancel
+async function cancelQueueEntry(position, userId, channel) {
+  const entry = sessionQueue[position - 1];
+  if (!entry) {
+    return { success: false, message: `:warning: No queue entry #${position}. Use \`!queue\` to see the queue.` };
+  }
+  if (entry.userId !== userId && !hasRole(userId, channel, 'admin')) {
+    return { success: false, message: `:no_entry: Only <@${entry.userId}> or an admin can cancel #${position}.` };
+  }
+
+  sessionQueue.splice(position - 1, 1);
+  console.log(`[${new Date().toISOString()}] Cancelled queued thread ${entry.threadTs}`);
+  await closeQueueNotice(entry, `:x: Removed from the queue by <@${userId}>.`);
+  await updateQueuePositions();
+  return { success: true, message: `:white_check_mark: Cancelled queue entry #${position}.` };
+}
+
+// Move a queue entry to the front (admin only - checked by caller)
+async function moveQueueEntryToFront(position) {
+  const entry = sessionQueue[position - 1];
+  if (!entry) {
+    return { success: false, message: `:warning: No queue entry #${position}. Use \`!queue\` to see the queue.` };
+  }
+
+  sessionQueue.splice(position - 1, 1);
+  sessionQueue.unshift(entry);
+  console.log(`[${new Date().toISOString()}] Moved queued thread ${entry.threadTs} to the front`);
+  await updateQueuePositions();
+  return { success: true, message: `:arrow_up: Moved #${position} to the front.` };
+}
+
+// Format the wait queue for display
+function formatQueueMessage() {
+  if (sessionQueue.length === 0) {
+    return ':information_source: No one is waiting for a session slot.';
+  }
+
+  const now = new Date();
+  const lines = sessionQueue.map((entry, i) => {
+    const waitMinutes = Math.round((now - new Date(entry.queuedAt)) / 60000);
+    const preview = truncateText((entry.messages[0].text || '(files)').replace(/\s+/g, ' '), 60);
+    const threadLink = workspaceUrl
+      ? ` <${workspaceUrl}archives/${entry.channel}/p${entry.threadTs.replace('.', '')}|→>`
+      : '';
+    return `${i + 1}. <@${entry.userId}> - ${waitMinutes}m - _${preview}_${threadLink}`;
+  });
+  return `:hourglass_flowing_sand: *Session Queue (${sessionQueue.length})*\n${lines.join('\n')}\n` +
+    `\`!queue cancel <n>\` to cancel, \`!queue top <n>\` (admin) to move to the front`;
+}
+
+// ============================================
+// Session History (resume past Claude sessions)
+// ============================================
+
+// Claude keeps an index of its sessions per directory: ~/.claude/projects/<dir>/sessions-index.json
+const CLAUDE_PROJECTS_DIR = `${process.env.HOME}/.claude/projects`;
+const SESSION_LIST_LIMIT = 10;
+
+// Claude's data directory for a working directory (it replaces / and . in the path with -)
+function getClaudeProjectDir(dir) {
+  return `${CLAUDE_PROJECTS_DIR}/${dir.replace(/[\/.]/g, '-')}`;
+}
+
+function getSessionsIndexPath(dir) {
+  return `${getClaudeProjectDir(dir)}/sessions-index.json`;
+}
+
+// Entries of one index, most recent first: { sessionId, summary, firstPrompt, messageCount, modified, projectPath }
+function readSessionsIndex(indexPath, dir = null) {
+  try {
+    const index = JSON.parse(readFileSync(indexPath, 'utf-8'));
+    return (index.entries || [])
+      .filter(entry => entry.sessionId && !entry.isSidechain)
+      .map(entry => ({ ...entry, projectPath: entry.projectPath || index.originalPath || dir }))
+      .sort((a, b) => new Date(b.modified) - new Date(a.modified));
+  } catch (e) {
+    return []; // No sessions in this directory yet
+  }
+}
+
+// Look a session up by ID prefix in every index (!resume works without a directory)
+function findIndexedSession(prefix) {
+  let dirs = [];
+  try {
+    dirs = readdirSync(CLAUDE_PROJECTS_DIR);
+  } catch (e) {
+    // Claude never ran for this user
+  }
+  const matches = dirs
+    .flatMap(d => readSessionsIndex(`${CLAUDE_PROJECTS_DIR}/${d}/sessions-index.json`))
+    .filter(entry => entry.sessionId.startsWith(prefix));
+  const ids = [...new Set(matches.map(entry => entry.sessionId))];
+  if (ids.length > 1) return { ambiguous: ids };
+  return { entry: matches[0] || null };
+}
+
+// Slack thread recorded for a Claude session, most recent first: [threadTs, session] or null
+function findThreadForSession(sessionId) {
+  const matches = Object.entries(loadSessions()).filter(([_, s]) => s.sessionId === sessionId);
+  matches.sort(([, a], [, b]) => new Date(b.last_activity || 0) - new Date(a.last_activity || 0));
+  return matches[0] || null;
+}
+
+function formatRelativeTime(date) {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(date)) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+function sessionSummary(entry) {
+  const summary = (entry.summary || entry.firstPrompt || 'No summary').replace(/\s+/g, ' ').trim();
+  return summary.length > 60 ? summary.substring(0, 60) + '…' : summary;
+}
+
+// !list [project|path] - recent sessions of a directory, with their Slack thread when there is one
+function formatSessionListMessage(dir) {
+  const entries = readSessionsIndex(getSessionsIndexPath(dir), dir);
+  const displayDir = dir.replace(process.env.HOME, '~');
+  if (entries.length === 0) {
+    return `:information_source: No Claude sessions found for \`${displayDir}\`.`;
+  }
+
+  const lines = entries.slice(0, SESSION_LIST_LIMIT).map(entry => {
+    const found = findThreadForSession(entry.sessionId);
+    const running = found && found[1].status !== 'terminated' ? ' :green_circle:' : '';
+    const threadLink = found ? ` ${formatSession(found[0], found[1]).threadLink}` : '';
+    return `• \`${entry.sessionId.slice(0, 8)}\` ${sessionSummary(entry)} - ${entry.messageCount ?? '?'} msgs, ${formatRelativeTime(entry.modified)}${running}${threadLink}`;
+  });
+  const more = entries.length > SESSION_LIST_LIMIT ? `\n_…and ${entries.length - SESSION_LIST_LIMIT} older_` : '';
+  return `:clipboard: *Claude sessions in \`${displayDir}\`*\n${lines.join('\n')}${more}\n` +
+    `Use \`!resume <id>\` to pick one up, or \`!continue\` for the latest.`;
+}
+
+// A session started without a prompt (!resume, !fork) has nothing to send: once Claude is up it
+// waits for the thread like an idle one, so the idle timeout applies to it too
+// (headless processes only report system/init after the first message - idle right away)
+function idleWhenReady(threadTs, session) {
+  const markIdle = () => updateStoredSession(threadTs, s => {
+    if (s.status !== 'starting') return;
+    s.status = 'idle';
+    s.idle_since = new Date().toISOString();
+  });
+
+  if (isStreamSession(session)) {
+    markIdle();
+    return;
+  }
+  waitForClaudeReady(session.window).then(ready => {
+    markIdle();
+    if (!ready) {
+      postToSessionThread(threadTs, session.channel, ':warning: Claude did not come up for this session - check `!status` in this thread.');
+    }
+  });
+}
+
+// Start `claude --resume` for an indexed session - in its original thread when the store has one,
+// otherwise in a new thread in `channel`. Returns { success, message } for the command reply.
+async function resumeIndexedSession(entry, channel, userId) {
+  const sessionId = entry.sessionId;
+  const shortId = sessionId.slice(0, 8);
+  const found = findThreadForSession(sessionId);
+
+  if (found && found[1].status !== 'terminated') {
+    return { success: false, message: `:information_source: Session \`${shortId}\` is already running ${formatSession(found[0], found[1]).threadLink}` };
+  }
+
+  const previous = found?.[1] || null;
+  const workingDir = previous?.workingDir || entry.projectPath;
+  if (!workingDir || !existsSync(workingDir)) {
+    return { success: false, message: `:warning: The directory of session \`${shortId}\` no longer exists${workingDir ? `: \`${workingDir}\`` : ''}.` };
+  }
+  const refused = checkPathAllowed(workingDir);
+  if (refused) {
+    return { success: false, message: `:no_entry: Can't resume session \`${shortId}\`: ${refused}.` };
+  }
+  if (getActiveSessionCount() >= config.multiSession.maxConcurrent) {
+    return { success: false, message: `:hourglass_flowing_sand: All ${config.multiSession.maxConcurrent} session slots are busy - try again when one frees up.` };
+  }
+
+  const notice = `[${workingDir.replace(process.env.HOME, '~')}] Resuming: ${sessionSummary(entry)}`;
+  const threadTs = found ? found[0] : null;
+  const targetChannel = previous?.channel || channel;
+  const postedTs = await postToSessionThread(threadTs, targetChannel, found ? `:arrows_counterclockwise: ${notice} (by <@${userId}>)` : notice);
+  const sessionThreadTs = threadTs || postedTs;
+  if (!sessionThreadTs) {
+    return { success: false, message: ':warning: Could not post the session thread.' };
+  }
+
+  const session = await withSessionLock(sessionThreadTs, async () => {
+    console.log(`[${new Date().toISOString()}] Resuming session ${sessionId} in thread ${sessionThreadTs}${found ? ' (original thread)' : ''}`);
+    const resumed = await resurrectSession(sessionThreadTs, targetChannel, sessionId, workingDir, previous?.model, previous?.backend, previous?.options);
+    if (previous) {
+      for (const field of RESURRECT_KEEP_FIELDS) {
+        if (previous[field] !== undefined) resumed[field] = previous[field];
+      }
+    } else {
+      resumed.owner = userId;
+      resumed.participants = [];
+    }
+
+    // Name the window after the session right away (the Stop hook only renames after a turn)
+    if (!isStreamSession(resumed)) {
+      try {
+        execSync(`tmux rename-window -t ${TMUX_SESSION}:${resumed.window} '${shortId}'`);
+        resumed.window = shortId;
+      } catch (e) {
+        // Keeps the temporary name - the Stop hook renames it
+      }
+    }
+
+    const sessions = loadSessions();
+    sessions[sessionThreadTs] = resumed;
+    saveSessions(sessions);
+    return resumed;
+  });
+
+  idleWhenReady(sessionThreadTs, session);
+
+  const threadLink = formatSession(sessionThreadTs, session).threadLink;
+  return { success: true, message: `:arrows_counterclockwise: Resuming \`${shortId}\` ${found ? 'in its original thread' : 'in a new thread'} ${threadLink}` };
+}
+
+// ============================================
+// Session Forks (!fork)
+// ============================================
+
+// Claude looks up the session to resume under the working directory, so a session that goes on
+// in another directory gets a copy of the transcript there: a fork (written under its own id
+// from then on), or a thread whose worktree was merged or deleted
+function copyTranscript(sessionId, fromDir, toDir) {
+  const source = `${getClaudeProjectDir(fromDir)}/${sessionId}.jsonl`;
+  const target = `${getClaudeProjectDir(toDir)}/${sessionId}.jsonl`;
+  if (source === target || existsSync(target) || !existsSync(source)) return;
+  mkdirSync(getClaudeProjectDir(toDir), { recursive: true });
+  copyFileSync(source, target);
+}
+
+// Start a new thread whose Claude continues this thread's conversation as a fork
+// `args` is the text after !fork: an optional [dir] / [project] prefix (with +worktree) and a
+// first prompt for the fork. Returns { success, message }
+async function forkSession(parentThreadTs, userId, args = '') {
+  const parent = loadSessions()[parentThreadTs];
+  if (!parent?.sessionId) {
+    return { success: false, message: ':information_source: Nothing to fork yet - wait until Claude has answered once.' };
+  }
+
+  const { requestedPath, flags, message: prompt } = parseWorkingDir(args.trim());
+  let workingDir = parent.workingDir || process.env.HOME;
+  let project = parent.project ? getProjects()[parent.project] || null : null;
+  if (requestedPath) {
+    const resolved = resolveWorkingDir(requestedPath);
+    if (resolved.refused) return { success: false, message: `:no_entry: Can't fork there: ${resolved.refused}.` };
+    // A typo shouldn't quietly fork into the default directory
+    if (resolved.warning) return { success: false, message: resolved.warning.replace(', using default', '') };
+    workingDir = resolved.path;
+    project = resolved.project;
+  }
+  const refused = checkPathAllowed(workingDir);
+  if (refused) {
+    return { success: false, message: `:no_entry: Can't fork there: ${refused}.` };
+  }
+  if (getActiveSessionCount() >= config.multiSession.maxConcurrent) {
+    return { success: false, message: `:hourglass_flowing_sand: All ${config.multiSession.maxConcurrent} session slots are busy - try again when one frees up.` };
+  }
+
+  const channel = parent.channel;
+  const parentLink = formatSession(parentThreadTs, parent).threadLink;
+  const displayDir = workingDir.replace(process.env.HOME, '~');
+  const forkTs = await postToSessionThread(null, channel,
+    `:fork_and_knife: [${displayDir}] Fork of \`${parent.window}\` by <@${userId}> ${parentLink}${prompt ? `\n${prompt}` : ''}`);
+  if (!forkTs) {
+    return { success: false, message: ':warning: Could not post the fork thread.' };
+  }
+
+  let session;
+  try {
+    session = await withSessionLock(forkTs, async () => {
+      const worktree = wantsWorktree(flags, project) ? createWorktree(forkTs, workingDir) : null;
+      const dir = worktree ? worktree.workingDir : workingDir;
+
+      console.log(`[${new Date().toISOString()}] Forking session ${parent.sessionId} (thread ${parentThreadTs}) into thread ${forkTs}`);
+      let forked;
+      try {
+        copyTranscript(parent.sessionId, parent.workingDir || process.env.HOME, dir);
+        forked = await resurrectSession(forkTs, channel, parent.sessionId, dir, parent.model, parent.backend, parent.options, { fork: true });
+      } catch (e) {
+        // Nothing runs in the new checkout - don't leave it and its branch behind
+        if (worktree) finishWorktree(worktree, 'delete');
+        throw e;
+      }
+      if (worktree) {
+        const { workingDir: _, ...info } = worktree;
+        forked.worktree = info;
+      }
+      forked.owner = userId;
+      forked.participants = [];
+      if (project) forked.project = project.name;
+      if (parent.idleTimeoutMinutes) forked.idleTimeoutMinutes = parent.idleTimeoutMinutes;
+      forked.forkOf = parentThreadTs;
+      forked.forkedFrom = parent.sessionId;
+
+      const sessions = loadSessions();
+      sessions[forkTs] = forked;
+      if (sessions[parentThreadTs]) {
+        sessions[parentThreadTs].forks = [...(sessions[parentThreadTs].forks || []), forkTs];
+      }
+      saveSessions(sessions);
+      return forked;
+    });
+  } catch (e) {
+    console.log(`[${new Date().toISOString()}] Could not fork thread ${parentThreadTs}: ${e.message}`);
+    await postToSessionThread(forkTs, channel, `:no_entry: Can't start the fork: ${e.message}.`);
+    return { success: false, message: `:no_entry: Can't start the fork: ${e.message}.` };
+  }
+
+  // The first prompt goes through the usual path (waits for Claude, 👀, busy tracking)
+  if (prompt) {
+    const say = (msg) => app.client.chat.postMessage({ channel, ...(typeof msg === 'string' ? { text: msg } : msg) });
+    handleMessage({ ts: forkTs, thread_ts: forkTs, text: prompt, user: userId, channel }, channel, say)
+      .catch(e => console.error(`[${new Date().toISOString()}] Failed to send the first prompt of fork ${forkTs}: ${e.message}`));
+  } else {
+    idleWhenReady(forkTs, session);
+  }
+
+  return { success: true, message: `:fork_and_knife: <@${userId}> forked this session: ${formatSession(forkTs, session).threadLink || `\`${session.window}\``}` };
+}
+
+// " ↳ fork of `ae96e6b5`" / " · 2 forks" for session lists
+function formatLineage(s, sessions) {
+  const parent = s.forkOf ? sessions[s.forkOf] : null;
+  const forks = (s.forks || []).filter(ts => sessions[ts]).length;
+  return (s.forkOf ? ` ↳ fork of \`${parent?.window || s.forkedFrom?.slice(0, 8) || '?'}\`` : '') +
+    (forks > 0 ? ` · ${forks} fork${forks === 1 ? '' : 's'}` : '');
+}
+
+// Forks listed right after the session they came from
+function orderByLineage(entries) {
+  const listed = new Set(entries.map(([threadTs]) => threadTs));
+  const ordered = [];
+  const visit = ([threadTs, s]) => {
+    ordered.push([threadTs, s]);
+    for (const child of entries.filter(([, c]) => c.forkOf === threadTs)) visit(child);
+  };
+  for (const entry of entries.filter(([, s]) => !s.forkOf || !listed.has(s.forkOf))) visit(entry);
+  return ordered;
+}
+
+// ============================================
+// Input Queue (messages held while Claude is busy)
+// ============================================
+
+// Per-thread messages that arrived mid-turn (in memory - lost on bridge restart)
+// threadTs → [{ message, channel, say }]
+const heldInput = new Map();
+const deliveringInput = new Set();
+
+const HELD_REACTION = 'hourglass_flowing_sand';
+
+// Is Claude still working on the last prompt? `busy` is set when the bridge sends a prompt
+// and cleared by the Stop / idle_prompt hooks. Interrupting a turn in the terminal fires
+// neither, so after a while the pane decides (busy = "esc to interrupt" status line)
+async function isClaudeWorking(session) {
+  if (!session?.busy) return false;
+  const busyFor = Date.now() - new Date(session.busy_since || 0).getTime();
+  // Headless sessions always report the end of a turn (result event)
+  if (busyFor < TIMING.BUSY_RECHECK_AFTER || isStreamSession(session)) return true;
+  return (await getTerminalState(session.window)).state === 'busy';
+}
+
+// Should a new message wait instead of being typed into the pane now?
+async function shouldHoldInput(threadTs, session) {
+  if (!session || session.status === 'terminated') return false;
+  // Replies to prompts are what Claude is waiting for - never hold them
+  if (session.pendingPermission || session.pendingQuestion || session.watchForNextQuestion) return false;
+  const working = await isClaudeWorking(session);
+  // Interrupted turns end without a Stop hook - the pane said it's idle, so what waits goes first
+  if (heldInput.has(threadTs) && !working) deliverHeldInput(threadTs);
+  // Keep order: once something is held (or on its way in), later messages queue behind it
+  return heldInput.has(threadTs) || deliveringInput.has(threadTs) || working;
+}
+
+async function holdInput(threadTs, message, channel, say) {
+  const queue = heldInput.get(threadTs) || [];
+  queue.push({ message, channel, say });
+  heldInput.set(threadTs, queue);
+  await addReaction(channel, message.ts, HELD_REACTION);
+  console.log(`[${new Date().toISOString()}] Claude busy - holding message ${message.ts} for thread ${threadTs} (${queue.length} waiting)`);
+}
+
+// Merge several held messages into one prompt (multiSession.combineQueuedMessages)
+function combineHeldMessages(messages) {
+  const last = messages[messages.length - 1];
+  return {
+    ...last,
+    text: messages.map(m => m.text).filter(Boolean).join('\n\n'),
+    files: messages.flatMap(m => m.files || []),
+  };
+}
+
+// Send the next held message (or all of them combined) through handleMessage
+// Called when Claude reports it's ready: Stop / idle_prompt hooks, headless result event
+async function deliverHeldInput(threadTs) {
+  const queue = heldInput.get(threadTs);
+  if (!queue?.length || deliveringInput.has(threadTs)) return;
+  deliveringInput.add(threadTs);
+
+  try {
+    const entries = config.multiSession.combineQueuedMessages ? queue.splice(0) : queue.splice(0, 1);
+    if (queue.length === 0) heldInput.delete(threadTs);
+
+    for (const entry of entries) {
+      await removeReaction(entry.channel, entry.message.ts, HELD_REACTION);
+    }
+
+    const message = entries.length === 1 ? entries[0].message : combineHeldMessages(entries.map(e => e.message));
+    console.log(`[${new Date().toISOString()}] Delivering ${entries.length} held message(s) to thread ${threadTs}`);
+    await handleMessage(message, entries[0].channel, entries[0].say, { fromInputQueue: true });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to deliver held input: ${e.message}`);
+  } finally {
+    deliveringInput.delete(threadTs);
+  }
+}
+
+// Discard held messages (session ended or `!queue clear`), returns how many
+function dropHeldInput(threadTs, reason) {
+  const queue = heldInput.get(threadTs);
+  if (!queue?.length) return 0;
+  heldInput.delete(threadTs);
+
+  for (const entry of queue) {
+    removeReaction(entry.channel, entry.message.ts, HELD_REACTION);
+  }
+  console.log(`[${new Date().toISOString()}] Dropped ${queue.length} held message(s) for thread ${threadTs}: ${reason}`);
+  return queue.length;
+}
+
+// Format the held messages of a thread for display
+function formatHeldInput(threadTs) {
+  const queue = heldInput.get(threadTs) || [];
+  if (queue.length === 0) {
+    return ':information_source: No messages waiting - Claude gets your next message right away.';
+  }
+  const lines = queue.map((entry, i) => `${i + 1}. _${truncateText((entry.message.text || '(files)').replace(/\s+/g, ' '), 80)}_`);
+  const mode = config.multiSession.combineQueuedMessages ? 'combined into one prompt' : 'one at a time';
+  return `:${HELD_REACTION}: *Waiting for Claude to finish (${queue.length})* - sent ${mode}\n${lines.join('\n')}\n` +
+    `\`!queue clear\` to drop them`;
+}
+
+// ============================================
+// Turn Progress (live "working…" message)
+// ============================================
+
+// One message per turn, edited in place with chat.update while Claude works (tool hooks or
+// headless tool events) and collapsed into a summary when the turn ends
+const turnProgress = new Map();  // threadTs → { channel, ts, startedAt, running, finished, todos, timer, lastUpdate, chain }
+
+const TODO_ICONS = { completed: ':white_check_mark:', in_progress: ':arrow_forward:', pending: ':white_large_square:' };
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// "Bash ×3, Edit ×2, Read"
+function formatToolCounts(names) {
+  const counts = {};
+  for (const name of names) counts[name] = (counts[name] || 0) + 1;
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => count > 1 ? `${name} ×${count}` : name)
+    .join(', ');
+}
+
+function formatProgressMessage(progress) {
+  const lines = [`:hourglass_flowing_sand: *Working…* ${formatDuration(Date.now() - progress.startedAt)}`];
+  for (const { summary } of progress.running.values()) {
+    lines.push(`:gear: \`${summary}\``);
+  }
+  if (progress.finished.length > 0) {
+    lines.push(`Done: ${progress.finished.length} tool call(s) (${formatToolCounts(progress.finished)})`);
+  }
+  if (progress.todos?.length) {
+    lines.push('');
+    for (const todo of progress.todos) {
+      const text = todo.status === 'in_progress' ? (todo.activeForm || todo.content) : todo.content;
+      lines.push(`${TODO_ICONS[todo.status] || TODO_ICONS.pending} ${truncateText(String(text), 200)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function formatProgressSummary(progress) {
+  const parts = [`Worked for ${formatDuration(Date.now() - progress.startedAt)}`];
+  if (progress.finished.length > 0) {
+    parts.push(`${progress.finished.length} tool call(s): ${formatToolCounts(progress.finished)}`);
+  }
+  if (progress.todos?.length) {
+    const done = progress.todos.filter(todo => todo.status === 'completed').length;
+    parts.push(`todos ${done}/${progress.todos.length} done`);
+  }
+  return `:stopwatch: ${parts.join(' · ')}`;
+}
+
+// Edit (or first post) the progress message - Slack calls of one turn run one after another
+async function renderProgress(threadTs, progress) {
+  if (turnProgress.get(threadTs) !== progress) return;  // Turn already finished
+  progress.lastUpdate = Date.now();
+  const text = formatProgressMessage(progress);
+
+  if (!progress.ts) {
+    progress.ts = await postToSessionThread(threadTs, progress.channel, text);
+    return;
+  }
+  try {
+    await app.client.chat.update({ channel: progress.channel, ts: progress.ts, text });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to update progress message: ${e.message}`);
+  }
+}
+
+// Update at most every PROGRESS_MIN_UPDATE_GAP (tools can start and finish many times a second)
+function scheduleProgressUpdate(threadTs) {
+  const progress = turnProgress.get(threadTs);
+  if (!progress || progress.timer) return;
+  const wait = Math.max(0, progress.lastUpdate + TIMING.PROGRESS_MIN_UPDATE_GAP - Date.now());
+  progress.timer = setTimeout(() => {
+    progress.timer = null;
+    progress.chain = progress.chain.then(() => renderProgress(threadTs, progress));
+  }, wait);
+}
+
+function progressToolStarted(threadTs, channel, toolUseId, name, input = {}) {
+  if (!threadTs || !channel || !name) return;
+
+  let progress = turnProgress.get(threadTs);
+  if (!progress) {
+    // The turn started when the prompt was sent (busy_since), not at its first tool
+    const busySince = Date.parse(loadSessions()[threadTs]?.busy_since);
+    progress = {
+      channel,
+      ts: null,
+      startedAt: Number.isNaN(busySince) ? Date.now() : busySince,
+      running: new Map(),  // tool_use_id → { name, summary }
+      finished: [],        // tool names, in order
+      todos: null,
+      timer: null,
+      lastUpdate: 0,
+      chain: Promise.resolve()
+    };
+    turnProgress.set(threadTs, progress);
+  }
+
+  // TodoWrite only updates the checklist - it isn't shown as a tool call
+  if (name === 'TodoWrite') {
+    if (Array.isArray(input.todos)) progress.todos = input.todos;
+  } else {
+    progress.running.set(toolUseId || `${name}-${Date.now()}`, { name, summary: summarizeToolInput(name, input) });
+  }
+  scheduleProgressUpdate(threadTs);
+}
+
+function progressToolFinished(threadTs, toolUseId, name) {
+  const progress = turnProgress.get(threadTs);
+  if (!progress) return;
+  // Without a matching id: the oldest running call of that tool
+  const id = progress.running.has(toolUseId)
+    ? toolUseId
+    : [...progress.running.keys()].find(key => progress.running.get(key).name === name);
+  if (id === undefined) return;
+
+  progress.finished.push(progress.running.get(id).name);
+  progress.running.delete(id);
+  scheduleProgressUpdate(threadTs);
 }
 
-function terminateSession(threadTs, session) {
-  // Kill the tmux window
+// Collapse the progress message into the turn summary
+// Returns true if the turn had a progress message (it already lists the tool calls)
+async function finishTurnProgress(threadTs) {
+  const progress = turnProgress.get(threadTs);
+  if (!progress) return false;
+  turnProgress.delete(threadTs);
+  clearTimeout(progress.timer);
+  await progress.chain;  // Let a post in flight land first
+  if (!progress.ts) return false;
+
   try {
-    execSync(`tmux kill-window -t ${TMUX_SESSION}:${session.window}`);
+    await app.client.chat.update({ channel: progress.channel, ts: progress.ts, text: formatProgressSummary(progress) });
   } catch (e) {
-    // Window may already be gone
-  }
-
-  // Note: temp files are NOT deleted here to allow session resurrection
-  // Old temp files are cleaned up by startTempFileCleanupInterval()
-
-  // Update session status
-  const sessions = loadSessions();
-  if (sessions[threadTs]) {
-    sessions[threadTs].status = 'terminated';
-    saveSessions(sessions);
+    console.error(`[${new Date().toISOString()}] Failed to collapse progress message: ${e.message}`);
   }
+  return true;
+}
 
-  // Notify in Slack thread
-  notifySessionEnded(session.channel, threadTs);
-
-  console.log(`[${new Date().toISOString()}] Session ${session.window} terminated (thread: ${threadTs})`);
+// Keep the elapsed time moving, and close turns that ended without a Stop (interrupted)
+function startProgressInterval() {
+  setInterval(async () => {
+    if (turnProgress.size === 0) return;
+    const sessions = loadSessions();
+    for (const threadTs of [...turnProgress.keys()]) {
+      const session = sessions[threadTs];
+      if (!session || session.status === 'terminated' || !await isClaudeWorking(session)) {
+        finishTurnProgress(threadTs);
+      } else {
+        scheduleProgressUpdate(threadTs);
+      }
+    }
+  }, TIMING.PROGRESS_UPDATE_INTERVAL);
 }
 
 // ============================================
@@ -702,11 +3375,12 @@ function startCleanupInterval() {
   setInterval(() => {
     const sessions = loadSessions();
     const now = new Date();
-    const timeoutMs = config.multiSession.idleTimeoutMinutes * 60 * 1000;
 
     for (const [threadTs, session] of Object.entries(sessions)) {
       if (session.status === 'idle' && session.idle_since) {
         const idleTime = now - new Date(session.idle_since);
+        // Projects can override the idle timeout (stored on the session at creation)
+        const timeoutMs = (session.idleTimeoutMinutes || config.multiSession.idleTimeoutMinutes) * 60 * 1000;
 
         if (idleTime > timeoutMs) {
           console.log(`[${new Date().toISOString()}] Session ${session.window} idle for ${Math.round(idleTime/1000)}s, terminating...`);
@@ -718,45 +3392,72 @@ function startCleanupInterval() {
 }
 
 // ============================================
-// Crash Detection (Health Check)
+// Crash Detection
 // ============================================
 
-async function notifySessionCrashed(channel, threadTs) {
+// Claude is gone mid-session: no Stop hook or result event will close the turn, so the
+// progress message, 👀 and held messages are dealt with here. The caller marks it terminated
+async function endCrashedSession(threadTs, channel, reason) {
+  const dropped = dropHeldInput(threadTs, reason);
+  await finishTurnProgress(threadTs);
+  await removeEyesFromLastMessage(threadTs, channel);
+  await notifySessionCrashed(channel, threadTs, dropped);
+}
+
+// `dropped`: held messages that won't be delivered (dropHeldInput)
+async function notifySessionCrashed(channel, threadTs, dropped = 0) {
+  const lost = dropped ? `\n:${HELD_REACTION}: ${dropped} waiting message(s) were dropped - send them again.` : '';
   try {
     await app.client.chat.postMessage({
       channel: channel,
       thread_ts: threadTs,
-      text: ':warning: Session ended unexpectedly. Send a message to restart.'
+      text: `:warning: Session ended unexpectedly. Send a message to restart.${lost}`
     });
   } catch (e) {
     console.error(`Failed to notify session crash: ${e.message}`);
   }
 }
 
-function startHealthCheckInterval() {
-  setInterval(() => {
-    const sessions = loadSessions();
-    let changed = false;
+// A tmux window closed (control client event): its session crashed unless it was terminated
+function handleWindowClosed(windowName) {
+  const sessions = loadSessions();
+  const entry = Object.entries(sessions).find(([, s]) =>
+    s.window === windowName && s.status !== 'terminated' && !isStreamSession(s));
+  if (!entry) return;
 
-    for (const [threadTs, session] of Object.entries(sessions)) {
-      // Only check non-terminated sessions
-      if (session.status === 'terminated') continue;
+  const [threadTs, session] = entry;
+  console.log(`[${new Date().toISOString()}] Session ${session.window} crashed (window closed)`);
+  sessions[threadTs].status = 'terminated';
+  clearTurnFlags(sessions[threadTs]);
+  saveSessions(sessions);
+  endCrashedSession(threadTs, session.channel, 'the window closed');
+  processSessionQueue();
+}
 
-      // Check if tmux window still exists
-      if (!tmuxWindowExists(session.window)) {
-        console.log(`[${new Date().toISOString()}] Session ${session.window} crashed (window disappeared)`);
-        sessions[threadTs].status = 'terminated';
-        changed = true;
+// Sessions whose window is gone - run whenever the control client (re)attaches,
+// since windows may have closed while no events were coming in
+function checkSessionWindows() {
+  const sessions = loadSessions();
+  const crashed = [];  // [threadTs, channel]
 
-        // Notify user
-        notifySessionCrashed(session.channel, threadTs);
-      }
-    }
+  for (const [threadTs, session] of Object.entries(sessions)) {
+    // Only check non-terminated sessions (headless ones report their own exit)
+    if (session.status === 'terminated' || isStreamSession(session)) continue;
 
-    if (changed) {
-      saveSessions(sessions);
+    // Check if tmux window still exists
+    if (!tmuxWindowExists(session.window)) {
+      console.log(`[${new Date().toISOString()}] Session ${session.window} crashed (window disappeared)`);
+      sessions[threadTs].status = 'terminated';
+      clearTurnFlags(sessions[threadTs]);
+      crashed.push([threadTs, session.channel]);
     }
-  }, TIMING.HEALTH_CHECK_INTERVAL);
+  }
+
+  if (crashed.length > 0) {
+    saveSessions(sessions);
+    for (const [threadTs, channel] of crashed) endCrashedSession(threadTs, channel, 'the window disappeared');
+    processSessionQueue();
+  }
 }
 
 // ============================================
@@ -821,67 +3522,75 @@ const lastQuestionHash = new Map();
 // How long to poll for new questions after user responds (ms)
 const QUESTION_WATCH_WINDOW = 10000;
 
-// Capture question prompt from terminal (mirrors slack-notify.sh logic)
-function captureQuestionFromTerminal(windowName) {
-  try {
-    const content = capturePaneContent(windowName);
-    if (!content) return null;
-
-    // Check if there's a question prompt (ends with ?)
-    // Also check for numbered options pattern
-    const lines = content.split('\n');
-    let questionLine = null;
-    let options = [];
-    let capturing = false;
-
-    for (const line of lines) {
-      // Look for question line (contains ? but not http)
-      if (line.includes('?') && !line.includes('http') && !capturing) {
-        questionLine = line.trim();
-        capturing = true;
-        continue;
-      }
+// Prompt Claude is waiting on in the window (permission, question or plan approval), or null
+// Returns the prompt data of classifyTerminal(): { question, options, full, choices, multiSelect, ... }
+async function captureQuestionFromTerminal(windowName) {
+  const { state, prompt } = await getTerminalState(windowName);
+  return PROMPT_STATES.includes(state) ? prompt : null;
+}
 
-      // Capture option lines (numbered or with selection indicator)
-      if (capturing) {
-        if (/[❯►].*\d+\./.test(line) || /^\s+\d+\./.test(line) || line.includes('Esc to cancel')) {
-          options.push(line.trim());
-        }
-      }
-    }
+// Truncate text to Slack's plain_text limits
+function truncateText(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
 
-    if (questionLine && options.length > 0) {
-      return {
-        question: questionLine,
-        options: options,
-        full: questionLine + '\n' + options.join('\n')
-      };
+// Build the question form: radio buttons (single choice) or checkboxes (multi-select),
+// a Submit button and a "Type something else" button that opens a free-text modal
+function buildQuestionBlocks(header, questionData, threadTs) {
+  const value = JSON.stringify({ thread: threadTs });
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: header } },
+    { type: 'section', text: { type: 'mrkdwn', text: `*${questionData.question}*` } }
+  ];
+
+  // Slack allows at most 10 radio/checkbox options (terminal options are 1-9 anyway)
+  const options = questionData.choices.slice(0, 10).map(c => ({
+    text: { type: 'plain_text', text: truncateText(`${c.key}. ${c.label}`, 75) },
+    ...(c.description ? { description: { type: 'plain_text', text: truncateText(c.description, 75) } } : {}),
+    value: c.key
+  }));
+
+  const buttons = [];
+  if (options.length > 0) {
+    const element = questionData.multiSelect
+      ? { type: 'checkboxes', action_id: 'question_select', options }
+      : { type: 'radio_buttons', action_id: 'question_select', options };
+    const initial = options.filter((_, i) => questionData.choices[i].checked);
+    if (questionData.multiSelect && initial.length > 0) {
+      element.initial_options = initial;
     }
-
-    return null;
-  } catch (e) {
-    return null;
+    blocks.push({ type: 'actions', block_id: 'question_choice', elements: [element] });
+    buttons.push({ type: 'button', action_id: 'question_submit', style: 'primary', text: { type: 'plain_text', text: 'Submit' }, value });
+  } else {
+    // Options couldn't be parsed - show the raw prompt
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '```\n' + questionData.full + '\n```' } });
   }
+  buttons.push({ type: 'button', action_id: 'question_other', text: { type: 'plain_text', text: 'Type something else…' }, value });
+
+  blocks.push({ type: 'actions', block_id: 'question_actions', elements: buttons });
+  return blocks;
 }
 
-// Check if terminal shows a tool permission (● ToolName(...))
-function isToolPermissionPrompt(windowName) {
-  try {
-    const content = capturePaneContent(windowName);
-    return content && /● [A-Za-z]+\(/.test(content);
-  } catch {
-    return false;
-  }
+// Build the question message after it was answered (form replaced with the answer)
+function buildAnsweredQuestionBlocks(header, question, answerText, userId) {
+  const by = userId ? ` by <@${userId}>` : '';
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: header } },
+    { type: 'section', text: { type: 'mrkdwn', text: `*${question}*` } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `:white_check_mark: ${answerText}${by} ${formatSlackDate(new Date())}` }] }
+  ];
 }
 
-// Post question update to Slack and mark as pending
+// Post question to Slack as a form and mark as pending
+// Steps of a multi-step wizard replace the previous step's message instead of posting a new one
 async function postQuestionToSlack(channel, threadTs, questionData, session) {
   const cwd = session.workingDir?.split('/').pop() || 'unknown';
   const sessionId = session.window;
 
-  const message = `:question: Claude is asking a question\n` +
-    `:file_folder: Project: \`${cwd}\` | Session: \`${sessionId}\`\n\n` +
-    '```\n' + questionData.full + '\n```';
+  const header = `:question: Claude is asking a question\n` +
+    `:file_folder: Project: \`${cwd}\` | Session: \`${sessionId}\``;
+  const blocks = buildQuestionBlocks(header, questionData, threadTs);
+  const text = `${header}\n${questionData.question}`;
 
   try {
     // Remove eyes from the last user message (their response was processed)
@@ -896,101 +3605,763 @@ async function postQuestionToSlack(channel, threadTs, questionData, session) {
       } catch (e) {
         // Ignore - reaction might already be removed
       }
-    }
+    }
+
+    let questionMessage = session.questionMessage;
+    if (questionMessage) {
+      await app.client.chat.update({ channel: questionMessage.channel, ts: questionMessage.ts, text, blocks });
+      console.log(`[${new Date().toISOString()}] Replaced question step in thread ${threadTs}`);
+    } else {
+      const result = await app.client.chat.postMessage({
+        channel: channel,
+        thread_ts: threadTs,
+        text,
+        blocks,
+        unfurl_links: false
+      });
+      questionMessage = { ts: result.ts, channel: result.channel };
+      console.log(`[${new Date().toISOString()}] Posted question to thread ${threadTs}`);
+    }
+
+    // Mark session as having pending question (waiting for user input)
+    const sessions = loadSessions();
+    if (sessions[threadTs]) {
+      sessions[threadTs].pendingQuestion = true;
+      sessions[threadTs].questionMessage = { ...questionMessage, header, question: questionData.question };
+      trackSessionMessage(sessions[threadTs], questionMessage.ts);
+      delete sessions[threadTs].watchForNextQuestion;  // Stop watching
+      delete sessions[threadTs].lastMessageTs;  // Clear since we removed eyes
+      saveSessions(sessions);
+    }
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to post question: ${e.message}`);
+  }
+}
+
+// Replace the question form with the answer (the next wizard step will replace it again)
+async function markQuestionAnswered(questionMessage, answerText, userId) {
+  if (!questionMessage?.ts) return;
+
+  try {
+    await app.client.chat.update({
+      channel: questionMessage.channel,
+      ts: questionMessage.ts,
+      text: `${questionMessage.header}\n${answerText}`,
+      blocks: buildAnsweredQuestionBlocks(questionMessage.header, questionMessage.question, answerText, userId)
+    });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to update question message: ${e.message}`);
+  }
+}
+
+// Translate a form answer into keystrokes, then watch for the next wizard step
+// answer = { keys: ['1', '3'] } for choices, or { text } for free text
+async function answerQuestion(threadTs, session, questionData, answer, userId) {
+  let answerText;
+  let streamDone = false;
+
+  try {
+    if (isStreamSession(session)) {
+      // Headless: AskUserQuestion takes the answer as text (option labels, comma-separated)
+      const labels = questionData.choices.filter(c => answer.keys?.includes(c.key)).map(c => c.label);
+      const text = answer.text !== undefined ? answer.text : labels.join(', ');
+      streamDone = answerStreamQuestion(threadTs, text);
+      answerText = answer.text !== undefined ? `Answered: "${truncateText(text, 200)}"` : `Selected: *${text || '(none)'}*`;
+    } else if (answer.text !== undefined) {
+      if (!await typeIntoWindow(session.window, answer.text)) return false;
+      answerText = `Answered: "${truncateText(answer.text, 200)}"`;
+    } else if (questionData.multiSelect) {
+      // Toggle only options whose state differs from the terminal, then proceed
+      const toggles = questionData.choices
+        .filter(c => c.checked !== answer.keys.includes(c.key))
+        .map(c => c.key);
+      await sendMultiSelect(session.window, toggles);
+      const labels = questionData.choices.filter(c => answer.keys.includes(c.key)).map(c => c.label);
+      answerText = `Selected: *${labels.join(', ') || '(none)'}*`;
+    } else {
+      const key = answer.keys[0];
+      execSync(`tmux send-keys -t ${TMUX_SESSION}:${session.window} '${key}'`);
+      const label = questionData.choices.find(c => c.key === key)?.label || key;
+      answerText = `Selected: *${label}*`;
+    }
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to send question answer: ${e.message}`);
+    return false;
+  }
+
+  const sessions = loadSessions();
+  const current = sessions[threadTs];
+  const questionMessage = current?.questionMessage;
+  if (current && isStreamSession(current)) {
+    // Next step comes from the same tool call, not from watching the terminal
+    current.pendingQuestion = false;
+    if (streamDone) delete current.questionMessage;
+    saveSessions(sessions);
+  } else if (current) {
+    current.pendingQuestion = false;
+    current.watchForNextQuestion = new Date().toISOString();
+    saveSessions(sessions);
+    startQuestionWatch(threadTs);
+    console.log(`[${new Date().toISOString()}] Started watching for next question in ${session.window}`);
+  }
+
+  await markQuestionAnswered(questionMessage, answerText, userId);
+  if (current && isStreamSession(current) && !streamDone) {
+    await postNextStreamQuestion(threadTs);
+  }
+  return true;
+}
+
+// Check that a clicked question form is still the question Claude is waiting on
+async function isQuestionMessageCurrent(threadTs, session, messageTs) {
+  if (!session || session.status === 'terminated') return false;
+  if (!session.pendingQuestion || session.questionMessage?.ts !== messageTs) return false;
+  // Headless sessions have no terminal to answer from - the tool call is only in memory
+  if (isStreamSession(session)) {
+    if (getStreamQuestionData(threadTs)) return true;
+    clearStaleStreamQuestion(threadTs);
+    return false;
+  }
+  return await captureQuestionFromTerminal(session.window) !== null;
+}
+
+// pendingQuestion outlived its AskUserQuestion call (the bridge restarted, or the process
+// answered or exited meanwhile) - nothing is waiting for an answer any more
+function clearStaleStreamQuestion(threadTs) {
+  console.log(`[${new Date().toISOString()}] Question in thread ${threadTs} is gone - clearing pendingQuestion`);
+  updateStoredSession(threadTs, s => {
+    s.pendingQuestion = false;
+    delete s.questionMessage;
+  });
+}
+
+// The question Claude is waiting on (parsed from the pane, or the headless AskUserQuestion step)
+async function getCurrentQuestion(threadTs, session) {
+  return isStreamSession(session) ? getStreamQuestionData(threadTs) : captureQuestionFromTerminal(session.window);
+}
+
+// Sessions watching for the next question: threadTs → { window, expiry, check } timers
+const questionWatches = new Map();
+
+// Look for the next AskUserQuestion step after an answer: once now, whenever the pane
+// goes quiet after printing something, and a last time when the watch window ends
+function startQuestionWatch(threadTs) {
+  const session = loadSessions()[threadTs];
+  if (!session?.watchForNextQuestion || isStreamSession(session)) return;
+  stopQuestionWatch(threadTs);
+
+  const started = new Date(session.watchForNextQuestion).getTime();
+  const remaining = Math.max(0, started + QUESTION_WATCH_WINDOW - Date.now());
+  const watch = { window: session.window, check: null };
+  watch.expiry = setTimeout(() => checkForNextQuestion(threadTs), remaining + TIMING.QUESTION_POLL_STABLE);
+  questionWatches.set(threadTs, watch);
+  scheduleQuestionCheck(threadTs);
+}
+
+function stopQuestionWatch(threadTs) {
+  const watch = questionWatches.get(threadTs);
+  if (!watch) return;
+  clearTimeout(watch.expiry);
+  clearTimeout(watch.check);
+  questionWatches.delete(threadTs);
+}
+
+// Debounced: every new output pushes the check back (the question is drawn once output stops)
+function scheduleQuestionCheck(threadTs) {
+  const watch = questionWatches.get(threadTs);
+  if (!watch) return;
+  clearTimeout(watch.check);
+  watch.check = setTimeout(() => checkForNextQuestion(threadTs), TIMING.QUESTION_POLL_STABLE);
+}
+
+// Watches persisted in sessions.json (bridge restart, control client reattached)
+function resumeQuestionWatches() {
+  for (const [threadTs, session] of Object.entries(loadSessions())) {
+    if (session.watchForNextQuestion && session.status !== 'terminated') startQuestionWatch(threadTs);
+  }
+}
+
+async function checkForNextQuestion(threadTs) {
+  const session = loadSessions()[threadTs];
+  if (!session || session.status === 'terminated' || !session.watchForNextQuestion) {
+    stopQuestionWatch(threadTs);
+    lastQuestionHash.delete(threadTs);
+    return;
+  }
+
+  // Don't look while waiting for user input (pendingQuestion = true)
+  if (session.pendingQuestion) return;
+
+  // Check if watch window has expired
+  const watchStartTime = new Date(session.watchForNextQuestion).getTime();
+  if (Date.now() - watchStartTime > QUESTION_WATCH_WINDOW) {
+    // Stop watching - no new question appeared
+    console.log(`[${new Date().toISOString()}] Watch window expired for ${session.window}`);
+    updateStoredSession(threadTs, s => { delete s.watchForNextQuestion; });
+    stopQuestionWatch(threadTs);
+    lastQuestionHash.delete(threadTs);
+    return;
+  }
+
+  // Tool permissions are posted by the Notification hook
+  const { state, prompt } = classifyTerminal(await capturePaneContentAsync(session.window));
+  if (!PROMPT_STATES.includes(state) || state === 'permission') {
+    // No question visible yet - keep watching
+    return;
+  }
+
+  // Check if this is a new/different question
+  const questionHash = createHash('md5').update(prompt.full).digest('hex');
+  const lastHash = lastQuestionHash.get(threadTs);
+  lastQuestionHash.set(threadTs, questionHash);
+
+  if (!lastHash || questionHash !== lastHash) {
+    // New question detected! Post to Slack (which ends the watch)
+    console.log(`[${new Date().toISOString()}] New question detected in session ${session.window}`);
+    stopQuestionWatch(threadTs);
+    await postQuestionToSlack(session.channel, threadTs, prompt, session);
+  }
+}
+
+// Route control client events: output re-arms question checks, a closed window is a crash
+function startTmuxEventHandlers() {
+  tmuxEvents.on('output', (windowName) => {
+    for (const [threadTs, watch] of questionWatches) {
+      if (watch.window === windowName) scheduleQuestionCheck(threadTs);
+    }
+  });
+  tmuxEvents.on('window-close', handleWindowClosed);
+  startTmuxControl();
+}
+
+// ============================================
+// Permission Prompts (Block Kit buttons)
+// ============================================
+
+// Decisions available on a permission prompt (buttons, reactions and thread replies)
+const PERMISSION_DECISIONS = {
+  approve: { label: 'Approved', emoji: ':white_check_mark:' },
+  approve_always: { label: 'Approved (always)', emoji: ':white_check_mark:' },
+  reject: { label: 'Rejected', emoji: ':x:' },
+  reject_instructions: { label: 'Rejected with instructions', emoji: ':x:' },
+  answered: { label: 'Answered in thread', emoji: ':speech_balloon:' },
+  stale: { label: 'No longer pending (answered elsewhere)', emoji: ':information_source:' },
+};
+
+// Format a date for Slack (rendered in the viewer's timezone)
+function formatSlackDate(date) {
+  const epoch = Math.floor(date.getTime() / 1000);
+  return `<!date^${epoch}^{date_short_pretty} at {time}|${date.toISOString()}>`;
+}
+
+// Build a permission message with Approve / Reject buttons
+// "Approve always" needs the prompt's "don't ask again" option (lastOption >= 3)
+function buildPermissionBlocks(header, prompt, threadTs, lastOption) {
+  const value = JSON.stringify({ thread: threadTs });
+  const button = (actionId, text, style) => ({ type: 'button', action_id: actionId, text: { type: 'plain_text', text }, value, ...(style ? { style } : {}) });
+
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: header } },
+    { type: 'section', text: { type: 'mrkdwn', text: '```\n' + prompt + '\n```' } },
+    {
+      type: 'actions',
+      block_id: 'permission_actions',
+      elements: [
+        button('permission_approve', 'Approve', 'primary'),
+        ...(lastOption >= 3 ? [button('permission_approve_always', 'Approve always')] : []),
+        button('permission_reject', 'Reject', 'danger'),
+        button('permission_reject_instructions', 'Reject with instructions…'),
+      ]
+    }
+  ];
+}
+
+// Build permission message blocks without buttons, with a footer describing the outcome
+function buildDecidedPermissionBlocks(header, prompt, decision, userId, instructions) {
+  const { label, emoji } = PERMISSION_DECISIONS[decision];
+  const by = userId ? ` by <@${userId}>` : '';
+  let footer = `${emoji} *${label}*${by} ${formatSlackDate(new Date())}`;
+  if (instructions) {
+    footer += `\n> ${instructions.replace(/\n/g, '\n> ')}`;
+  }
+
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: header } },
+    { type: 'section', text: { type: 'mrkdwn', text: '```\n' + prompt + '\n```' } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: footer }] }
+  ];
+}
+
+// Replace the buttons on a permission message with the decision (message = session.permissionMessage)
+async function markPermissionMessage(message, decision, userId, instructions = null) {
+  if (!message?.ts || !message?.channel) return;
+
+  try {
+    await app.client.chat.update({
+      channel: message.channel,
+      ts: message.ts,
+      text: `${message.header}\n${PERMISSION_DECISIONS[decision].label}`,
+      blocks: buildDecidedPermissionBlocks(message.header, message.prompt, decision, userId, instructions)
+    });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to update permission message: ${e.message}`);
+  }
+}
+
+// Send a permission decision to Claude (same keys as replies and reactions) and clear the pending state
+// Returns false if the keys could not be sent
+async function decidePermission(threadTs, session, decision, userId, instructions = null) {
+  const target = `${TMUX_SESSION}:${session.window}`;
+
+  try {
+    if (isStreamSession(session)) {
+      respondToStreamPermission(threadTs, decision, instructions);
+    } else if (decision === 'approve') {
+      execSync(`tmux send-keys -t ${target} '1'`);
+    } else if (decision === 'approve_always') {
+      execSync(`tmux send-keys -t ${target} '2'`);
+    } else if (decision === 'reject') {
+      execSync(`tmux send-keys -t ${target} Escape`);
+    } else if (decision === 'reject_instructions') {
+      const lastOption = session.permissionMessage?.lastOption || 3;
+      await sendToWindow(session.window, `${lastOption} ${instructions}`);
+    }
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to send permission decision: ${e.message}`);
+    return false;
+  }
+  console.log(`[${new Date().toISOString()}] Permission ${decision} in ${session.window} by ${userId || 'unknown'}`);
+
+  const sessions = loadSessions();
+  const current = sessions[threadTs];
+  const message = current?.permissionMessage;
+  if (current) {
+    current.pendingPermission = false;
+    delete current.permissionMessage;
+    saveSessions(sessions);
+  }
+
+  await markPermissionMessage(message, decision, userId, instructions);
+  return true;
+}
+
+// Check that a clicked permission message is still the prompt Claude is waiting on
+// Stale if the prompt was answered from the terminal, a reply, a reaction, or superseded by a newer one
+async function isPermissionMessageCurrent(session, messageTs) {
+  if (!session || session.status === 'terminated') return false;
+  if (!session.pendingPermission || session.permissionMessage?.ts !== messageTs) return false;
+  if (isStreamSession(session)) return true;
+  // Prompt may have been answered locally while Claude keeps working (no Stop hook yet)
+  return await captureQuestionFromTerminal(session.window) !== null;
+}
+
+// Refuse a stale button click: drop the buttons and tell the clicking user
+async function refuseStalePermission(body, respond) {
+  const blocks = body.message?.blocks || [];
+  const header = blocks[0]?.text?.text || ':lock: Claude Code needs permission to proceed';
+  const prompt = (blocks[1]?.text?.text || '').replace(/^```\n?|\n?```$/g, '');
+
+  try {
+    await app.client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: `${header}\n${PERMISSION_DECISIONS.stale.label}`,
+      blocks: buildDecidedPermissionBlocks(header, prompt, 'stale', null)
+    });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to update stale permission message: ${e.message}`);
+  }
+
+  await respond({
+    response_type: 'ephemeral',
+    replace_original: false,
+    text: ':information_source: This permission prompt is no longer pending - it was already answered.'
+  });
+}
+
+// ============================================
+// Hook Endpoint (Claude Code hooks → bridge)
+// ============================================
+
+// slack-notify.sh and slack-forward-prompt.sh only forward the raw hook input here;
+// session lookup, sessions.json updates and Slack posts all happen below
+const HOOK_SOCKET = process.env.CLAUDE_SLACK_BRIDGE_SOCKET || `${CONFIG_DIR}/bridge.sock`;
+
+// Skip a notification identical to the last one, or within this long of it
+const HOOK_COOLDOWN = 3000;
+const lastHookPost = new Map();  // threadTs (or window) → { hash, time }
+
+// Prompts typed from Slack, so UserPromptSubmit doesn't echo them back as local input
+const slackPrompts = new Map();  // threadTs → md5 of the trimmed prompt
+
+function rememberSlackPrompt(threadTs, text) {
+  slackPrompts.set(threadTs, createHash('md5').update(text.trim()).digest('hex'));
+}
+
+// Window name of the pane a hook ran in (pane ids look like %12)
+function getPaneWindow(pane) {
+  if (!/^%\d+$/.test(pane || '')) return null;
+  try {
+    return execSync(`tmux display-message -t '${pane}' -p '#{window_name}'`, { encoding: 'utf-8' }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// A hook's pane (TMUX_PANE, e.g. %12) from startLine of its scrollback
+async function capturePane(pane, startLine) {
+  if (!/^%\d+$/.test(pane || '')) return '';
+  return captureTmuxPane(pane, startLine);
+}
+
+// Find the session a hook belongs to: by window (8-char session id, or the new-N name before
+// the first Stop), preferring live and recent sessions, else the thread from the hook's env
+function findHookSession(sessions, sessionId, window, envThreadTs) {
+  const [match] = Object.entries(sessions)
+    .filter(([_, s]) => s.window === sessionId.slice(0, 8) || (window && s.window === window))
+    .sort(([, a], [, b]) =>
+      (a.status === 'terminated') - (b.status === 'terminated') ||
+      String(b.created_at).localeCompare(String(a.created_at)));
+  return match ? match[0] : envThreadTs || null;
+}
+
+// Permission prompt at the bottom of the pane: "● Tool(...)" context, the question and its options
+// Returns '' if no prompt is visible; isTool is false for questions and plan approval (no tool context)
+async function capturePermissionPrompt(pane) {
+  const { state, prompt } = classifyTerminal(await capturePane(pane, -50));
+  if (!PROMPT_STATES.includes(state)) return { text: '', isTool: false };
+  return { text: prompt.text, isTool: state === 'permission' };
+}
+
+// Last "●" block of the pane, once the pane has stopped changing (fallback without a transcript)
+async function capturePaneResponse(pane) {
+  let content = '', previous = null, stableCount = 0;
+  for (let i = 0; i < 10 && stableCount < 2; i++) {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    content = await capturePane(pane, -500);
+    stableCount = content === previous ? stableCount + 1 : 0;
+    previous = content;
+  }
+
+  let capture = '', capturing = false, lastComplete = '';
+  for (const line of content.split('\n')) {
+    if (line.includes('●')) {
+      capture = line;
+      capturing = true;
+    } else if (/[✻✽✢✶·]/.test(line) || /^[─━]{20,}$/.test(line) || /^❯/.test(line) || /^\* .+…/.test(line)) {
+      if (capturing) lastComplete = capture;
+      capturing = false;
+    } else if (capturing) {
+      capture += '\n' + line;
+    }
+  }
+
+  const response = lastComplete || (capturing ? capture : '');
+  return response.split('\n').filter(line => line.trim()).join('\n');
+}
+
+// Read the turn that just finished from the session transcript (JSONL)
+// Only entries after the last user prompt and after lastRelayedUuid count, so nothing is posted twice.
+// Returns { uuid, text, tools }: the last entry, the assistant text after the last tool call,
+// and one summary per tool call - or null if the transcript can't be read
+function readTranscriptTurn(path, lastRelayedUuid) {
+  let lines;
+  try {
+    lines = readFileSync(path, 'utf-8').split('\n');
+  } catch {
+    return null;
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    try {
+      const entry = JSON.parse(line);
+      if ((entry.type === 'user' || entry.type === 'assistant') && !entry.isSidechain) entries.push(entry);
+    } catch {
+      // Partial or empty line
+    }
+  }
+
+  const blocksOf = entry => Array.isArray(entry.message?.content) ? entry.message.content : [];
+  const isPrompt = entry => entry.type === 'user' && !entry.isMeta && !blocksOf(entry).some(b => b.type === 'tool_result');
+  const isToolStep = entry => blocksOf(entry).some(b => b.type === 'tool_use' || b.type === 'tool_result');
+
+  const seen = lastRelayedUuid ? entries.findIndex(e => e.uuid === lastRelayedUuid) : -1;
+  const turn = entries.slice(Math.max(entries.findLastIndex(isPrompt), seen) + 1);
+  const assistantBlocks = list => list.filter(e => e.type === 'assistant').flatMap(blocksOf);
+
+  return {
+    uuid: entries.at(-1)?.uuid || null,
+    text: assistantBlocks(turn.slice(turn.findLastIndex(isToolStep) + 1))
+      .filter(b => b.type === 'text' && b.text?.trim())
+      .map(b => b.text)
+      .join('\n\n'),
+    tools: assistantBlocks(turn)
+      .filter(b => b.type === 'tool_use')
+      .map(b => summarizeToolInput(b.name, b.input))
+  };
+}
+
+// The finished turn from the transcript - the Stop hook can fire before the final message is written
+async function waitForTranscriptTurn(path, lastRelayedUuid) {
+  let turn = null;
+  for (let i = 0; i < 5; i++) {
+    turn = readTranscriptTurn(path, lastRelayedUuid);
+    if (!turn || turn.text) break;
+    await new Promise(resolve => setTimeout(resolve, 300));
+  }
+  return turn;
+}
+
+// Stop hook: relay the response, tool calls of the turn first in their own message
+// (unless the turn's progress message already lists them - listedTools)
+// Returns { response, fromPane } - pane captures keep the terminal layout, so they're posted as code
+async function relayFinishedTurn(threadTs, channel, input, pane, session, { listedTools = false } = {}) {
+  if (!input.transcript_path) return { response: await capturePaneResponse(pane), fromPane: true };
+
+  const turn = await waitForTranscriptTurn(input.transcript_path, session?.lastRelayedUuid);
+  if (!turn) return { response: await capturePaneResponse(pane), fromPane: true };
+
+  if (turn.tools.length > 0 && !listedTools) {
+    const MAX_TOOLS = 15;
+    const lines = turn.tools.slice(0, MAX_TOOLS).map(tool => `• ${tool}`);
+    if (turn.tools.length > MAX_TOOLS) lines.push(`_...and ${turn.tools.length - MAX_TOOLS} more_`);
+    await postToSessionThread(threadTs, channel, `:wrench: ${turn.tools.length} tool call(s):\n${lines.join('\n')}`);
+  }
+  if (turn.uuid) updateStoredSession(threadTs, s => { s.lastRelayedUuid = turn.uuid; });
+  return { response: turn.text, fromPane: false };
+}
+
+// Flags that end with the turn (Stop / idle_prompt)
+function clearTurnFlags(session) {
+  delete session.busy;
+  delete session.busy_since;
+  delete session.pendingPermission;
+  delete session.permissionMessage;
+  delete session.pendingQuestion;
+  delete session.questionMessage;
+  delete session.watchForNextQuestion;
+}
+
+async function removeEyesFromLastMessage(threadTs, channel, { forget = true } = {}) {
+  const session = loadSessions()[threadTs];
+  if (!session?.lastMessageTs) return;
+  await removeReaction(channel, session.lastMessageTs, 'eyes');
+  if (forget) updateStoredSession(threadTs, s => { delete s.lastMessageTs; });
+}
+
+// Post a tool permission prompt with buttons and remember it for stale-click checks
+async function postHookPermission(threadTs, channel, header, prompt) {
+  // Number of the last option (the "No, and tell Claude..." entry used for instructions)
+  const optionCount = prompt.split('\n').filter(line => /^\s*[❯►]?\s*\d+\./.test(line)).length;
+  const lastOption = optionCount < 2 ? 3 : optionCount;
+  const promptText = prompt.slice(0, 2800);
+
+  const ts = await postToSessionThread(threadTs, channel, header, {
+    blocks: buildPermissionBlocks(header, promptText, threadTs, lastOption)
+  });
+  updateStoredSession(threadTs, s => {
+    s.pendingPermission = true;
+    s.last_activity = new Date().toISOString();
+    if (ts) s.permissionMessage = { ts, channel: s.channel, header, prompt: promptText, lastOption };
+  });
+}
+
+// Handle one forwarded hook: { input: <hook JSON>, pane, threadTs, channel } (env of the Claude process)
+async function handleHookEvent({ input = {}, pane, threadTs: envThreadTs, channel: envChannel }) {
+  const event = input.hook_event_name || 'unknown';
+  const sessionIdFull = input.session_id || 'unknown';
+  const sessionId = sessionIdFull.slice(0, 8);
+  const cwd = input.cwd ? input.cwd.split('/').pop() : 'unknown';
+  const window = getPaneWindow(pane);
+
+  const sessions = loadSessions();
+  const threadTs = findHookSession(sessions, sessionIdFull, window, envThreadTs);
+  const session = threadTs ? sessions[threadTs] : null;
+  const channel = session?.channel || envChannel || config.notifyChannel;
+  if (!channel) throw new Error('no Slack channel for this session (set notifyChannel in config.json)');
+
+  let message;
+  let response = null;
+  let fromPane = false;
+
+  switch (event) {
+    case 'UserPromptSubmit': {
+      // A turn starts (also for prompts typed in the terminal) - see isClaudeWorking
+      updateStoredSession(threadTs, s => {
+        s.busy = true;
+        s.busy_since = s.busy_since || new Date().toISOString();
+      });
+
+      // Forward prompts typed in the terminal; ones sent from Slack are recognized by hash
+      const prompt = input.prompt?.trim();
+      if (!prompt || !threadTs) return;
+      const slackHash = slackPrompts.get(threadTs);
+      slackPrompts.delete(threadTs);
+      if (slackHash === createHash('md5').update(prompt).digest('hex')) return;
+      await postToSessionThread(threadTs, channel, `:computer: *Local input:*\n${formatCodeBlock(input.prompt)}`);
+      return;
+    }
+
+    case 'PreToolUse':
+      progressToolStarted(threadTs, channel, input.tool_use_id, input.tool_name, input.tool_input);
+      return;
+
+    case 'PostToolUse':
+      progressToolFinished(threadTs, input.tool_use_id, input.tool_name);
+      return;
+
+    case 'Notification': {
+      const type = input.notification_type || input.matcher;
+      if (type === 'idle_prompt') {
+        updateStoredSession(threadTs, s => {
+          s.status = 'idle';
+          s.idle_since = new Date().toISOString();
+          clearTurnFlags(s);
+        });
+        await removeEyesFromLastMessage(threadTs, channel);
+        await finishTurnProgress(threadTs);
+        deliverHeldInput(threadTs);
+        return;
+      }
+      if (type !== 'permission_prompt') return;
 
-    await app.client.chat.postMessage({
-      channel: channel,
-      thread_ts: threadTs,
-      text: message,
-      unfurl_links: false
-    });
-    console.log(`[${new Date().toISOString()}] Posted question update to thread ${threadTs}`);
+      // Waiting for user input - the message was processed
+      await removeEyesFromLastMessage(threadTs, channel, { forget: false });
 
-    // Mark session as having pending question (waiting for user input)
-    const sessions = loadSessions();
-    if (sessions[threadTs]) {
-      sessions[threadTs].pendingQuestion = true;
-      delete sessions[threadTs].watchForNextQuestion;  // Stop watching
-      delete sessions[threadTs].lastMessageTs;  // Clear since we removed eyes
-      saveSessions(sessions);
+      // A tool permission shows its "● ToolName(...)" context; AskUserQuestion doesn't
+      const prompt = await capturePermissionPrompt(pane);
+      if (prompt.isTool) {
+        const header = `:lock: Claude Code needs permission to proceed\n:file_folder: Project: \`${cwd}\` | Session: \`${sessionId}\``;
+        await postHookPermission(threadTs, channel, header, prompt.text);
+        return;
+      }
+
+      // Question from Claude - the question watch captures it and posts a form
+      updateStoredSession(threadTs, s => {
+        s.watchForNextQuestion = new Date().toISOString();
+        delete s.pendingPermission;
+        delete s.permissionMessage;
+      });
+      startQuestionWatch(threadTs);
+      return;
     }
-  } catch (e) {
-    console.error(`[${new Date().toISOString()}] Failed to post question: ${e.message}`);
-  }
-}
 
-function startQuestionPollingInterval() {
-  setInterval(async () => {
-    const sessions = loadSessions();
-    const now = Date.now();
+    case 'PreCompact':
+      message = ':hourglass_flowing_sand: Compacting conversation context...';
+      break;
 
-    for (const [threadTs, session] of Object.entries(sessions)) {
-      // Skip terminated sessions
-      if (session.status === 'terminated') {
-        if (lastQuestionHash.has(threadTs)) {
-          lastQuestionHash.delete(threadTs);
+    case 'Stop': {
+      // First response: rename the temporary new-N window after the session id
+      if (window?.startsWith('new-') && /^[0-9a-f-]{8,}$/i.test(sessionIdFull)) {
+        try {
+          execSync(`tmux rename-window -t '${pane}' '${sessionId}'`);
+        } catch (e) {
+          console.error(`[${new Date().toISOString()}] Failed to rename window ${window}: ${e.message}`);
         }
-        continue;
+        updateStoredSession(threadTs, s => {
+          s.window = sessionId;
+          s.sessionId = sessionIdFull;
+          s.status = 'active';
+        });
       }
+      // Clearing busy lets held messages through (delivered once the response is posted)
+      updateStoredSession(threadTs, clearTurnFlags);
+      await removeEyesFromLastMessage(threadTs, channel);
 
-      // Don't poll while waiting for user input (pendingQuestion = true)
-      if (session.pendingQuestion) {
-        continue;
-      }
+      // The progress message becomes the turn summary (and lists the tools)
+      const listedTools = await finishTurnProgress(threadTs);
+      recordTurnEnd(threadTs);
 
-      // Only poll if we're watching for a new question (user recently responded)
-      if (!session.watchForNextQuestion) {
-        // Clean up hash tracking
-        if (lastQuestionHash.has(threadTs)) {
-          lastQuestionHash.delete(threadTs);
-        }
-        continue;
-      }
+      message = ':white_check_mark: Claude Code finished responding';
+      ({ response, fromPane } = await relayFinishedTurn(threadTs, channel, input, pane, session, { listedTools }));
+      break;
+    }
 
-      // Check if watch window has expired
-      const watchStartTime = new Date(session.watchForNextQuestion).getTime();
-      if (now - watchStartTime > QUESTION_WATCH_WINDOW) {
-        // Stop watching - no new question appeared
-        console.log(`[${new Date().toISOString()}] Watch window expired for ${session.window}`);
-        const updatedSessions = loadSessions();
-        if (updatedSessions[threadTs]) {
-          delete updatedSessions[threadTs].watchForNextQuestion;
-          saveSessions(updatedSessions);
-        }
-        lastQuestionHash.delete(threadTs);
-        continue;
-      }
+    case 'SubagentStop':
+      message = ':robot_face: Claude Code subagent task completed';
+      break;
 
-      // Skip if this is actually a tool permission
-      if (isToolPermissionPrompt(session.window)) {
-        continue;
-      }
+    default:
+      message = `:speech_balloon: Claude Code event: ${event}`;
+  }
+
+  let text = `${message}\n:file_folder: Project: \`${cwd}\` | Session: \`${sessionId}\``;
+  if (response) {
+    text += `\n\n${fromPane ? formatCodeBlock(response) : markdownToMrkdwn(response)}`;
+  }
 
-      // Wait for terminal to stabilize
-      await new Promise(resolve => setTimeout(resolve, TIMING.QUESTION_POLL_STABLE));
+  // Skip duplicates and messages within the cooldown
+  const key = threadTs || window;
+  const hash = createHash('md5').update(text).digest('hex');
+  const last = lastHookPost.get(key);
+  if (!last || (last.hash !== hash && Date.now() - last.time >= HOOK_COOLDOWN)) {
+    lastHookPost.set(key, { hash, time: Date.now() });
+    await postToSessionThread(threadTs, channel, text);
+    updateStoredSession(threadTs, s => { s.last_activity = new Date().toISOString(); });
+  }
 
-      // Capture current question
-      const questionData = captureQuestionFromTerminal(session.window);
+  // The turn is over: messages held meanwhile go in after its response
+  if (event === 'Stop') deliverHeldInput(threadTs);
+}
 
-      if (!questionData) {
-        // No question visible yet - keep watching
-        continue;
-      }
+// Hooks are answered as soon as they arrive - Claude waits for the hook command, and the
+// Stop handler alone can take longer than its timeout - and handled afterwards, one at a
+// time per pane so the events of a turn keep their order
+const hookChains = new Map();  // pane (or thread) → last queued handling
+
+function queueHookEvent(payload) {
+  const key = payload.pane || payload.threadTs || '';
+  const next = (hookChains.get(key) || Promise.resolve())
+    .then(() => handleHookEvent(payload))
+    .catch((e) => {
+      console.error(`[${new Date().toISOString()}] Hook failed: ${e.message}`);
+    });
+  hookChains.set(key, next);
+  next.then(() => {
+    if (hookChains.get(key) === next) hookChains.delete(key);
+  });
+}
 
-      // Check if this is a new/different question
-      const questionHash = createHash('md5').update(questionData.full).digest('hex');
-      const lastHash = lastQuestionHash.get(threadTs);
+// Listen for hooks on a Unix socket (POST /hook with the forwarded JSON)
+// Replies {ok: true} once the JSON is read, or {ok: false, error} - the hook reports failures to Claude Code
+function startHookServer() {
+  const server = createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/hook') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'not found' }));
+      return;
+    }
 
-      if (!lastHash || questionHash !== lastHash) {
-        // New question detected! Post to Slack
-        console.log(`[${new Date().toISOString()}] New question detected in session ${session.window}`);
-        await postQuestionToSlack(session.channel, threadTs, questionData, session);
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        console.error(`[${new Date().toISOString()}] Hook failed: ${e.message}`);
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: e.message }));
+        return;
       }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+      queueHookEvent(payload);
+    });
+  });
 
-      // Update hash
-      lastQuestionHash.set(threadTs, questionHash);
-    }
-  }, TIMING.QUESTION_POLL_INTERVAL);
+  server.on('error', (e) => {
+    console.error(`[${new Date().toISOString()}] Hook socket error: ${e.message}`);
+  });
+
+  // A socket left over from a previous instance (the instance lock guarantees it's not in use)
+  rmSync(HOOK_SOCKET, { force: true });
+  server.listen(HOOK_SOCKET, () => {
+    chmodSync(HOOK_SOCKET, 0o600);
+    console.log(`[${new Date().toISOString()}] Listening for hooks on ${HOOK_SOCKET}`);
+  });
 }
 
 // ============================================
@@ -1004,6 +4375,14 @@ async function reconnectSessions() {
   for (const [threadTs, session] of Object.entries(sessions)) {
     if (session.status === 'terminated') continue;
 
+    // Headless processes don't outlive the bridge - resume them on the next message
+    if (isStreamSession(session)) {
+      console.log(`✗ Headless session ${session.window} ended with the previous bridge, marking terminated`);
+      sessions[threadTs].status = 'terminated';
+      changed = true;
+      continue;
+    }
+
     // Check if tmux window still exists
     if (tmuxWindowExists(session.window)) {
       console.log(`✓ Session ${session.window} still active`);
@@ -1020,11 +4399,64 @@ async function reconnectSessions() {
   }
 }
 
+// ============================================
+// Inbound Slack Markup (Slack → plain text for Claude)
+// ============================================
+
+// Message text is normalized before it reaches the session (slack-text.js); the names of
+// mentioned users, channels and groups are looked up here.
+// Commands (!share @user, ...) still parse the raw text, where mentions are IDs.
+
+const SLACK_NAME_CACHE_TTL = 60 * 60 * 1000;  // Re-resolve names hourly (renames)
+const slackNameCache = new Map();  // 'U123' / 'C123' / 'S123' → { name, time }
+
+// Look up a display name once per TTL; failures fall back to the raw ID (and are cached too)
+async function cachedSlackName(id, lookup) {
+  const cached = slackNameCache.get(id);
+  if (cached && Date.now() - cached.time < SLACK_NAME_CACHE_TTL) return cached.name;
+
+  let name = id;
+  try {
+    name = (await lookup()) || id;
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to resolve Slack name for ${id}: ${e.message}`);
+  }
+  slackNameCache.set(id, { name, time: Date.now() });
+  return name;
+}
+
+// users:read
+function resolveUserName(userId) {
+  return cachedSlackName(userId, async () => {
+    const { user } = await app.client.users.info({ user: userId });
+    return user?.profile?.display_name || user?.real_name || user?.name;
+  });
+}
+
+// channels:read (groups:read for private channels)
+function resolveChannelName(channelId) {
+  return cachedSlackName(channelId, async () => {
+    const { channel } = await app.client.conversations.info({ channel: channelId });
+    return channel?.name;
+  });
+}
+
+// usergroups:read (optional - without it groups show as their ID)
+function resolveUserGroupName(groupId) {
+  return cachedSlackName(groupId, async () => {
+    const { usergroups } = await app.client.usergroups.list();
+    return usergroups?.find(g => g.id === groupId)?.handle;
+  });
+}
+
+// Name lookups for slack-text.js
+const slackNames = { user: resolveUserName, channel: resolveChannelName, userGroup: resolveUserGroupName };
+
 // ============================================
 // Message Handling
 // ============================================
 
-async function handleMessage(message, channel, say) {
+async function handleMessage(message, channel, say, { fromQueue = false, fromInputQueue = false } = {}) {
   const threadTs = message.thread_ts || message.ts;
   const isNewThread = !message.thread_ts;  // First message creates thread
 
@@ -1034,17 +4466,56 @@ async function handleMessage(message, channel, say) {
     return;
   }
 
+  // Chatting needs operator; a reply to a pending permission prompt answers it, so that needs approver
+  const existingSession = message.thread_ts ? loadSessions()[message.thread_ts] : null;
+  const requiredRole = existingSession?.pendingPermission && !existingSession.pendingQuestion ? 'approver' : 'operator';
+  if (!hasRole(message.user, channel, requiredRole)) {
+    await say({ text: roleDeniedMessage(requiredRole), thread_ts: threadTs });
+    return;
+  }
+  if (!canDriveSession(message.user, channel, existingSession)) {
+    console.log(`[${new Date().toISOString()}] Ignoring message from ${message.user} - not a participant of thread ${threadTs}`);
+    await sayEphemeral(channel, message.user, threadTs, ownerDeniedMessage(existingSession));
+    return;
+  }
+
+  // Claude is mid-turn: typing now would mangle the prompt, so hold the message until it's ready
+  if (!fromInputQueue && await shouldHoldInput(threadTs, existingSession)) {
+    await holdInput(threadTs, message, channel, say);
+    return;
+  }
+
   // Parse working directory from message (only for new threads)
   let messageText = message.text || '';
   let workingDir = null;
   let dirWarning = null;
+  let project = null;
+  let sessionFlags = [];
+  let cliOptions = { model: null, options: {}, warnings: [] };
 
   if (isNewThread && messageText) {
-    const { requestedPath, message: cleanMessage } = parseWorkingDir(messageText);
+    const { requestedPath, flags, options, message: cleanMessage } = parseWorkingDir(messageText);
     messageText = cleanMessage;
+    sessionFlags = flags;
     const resolved = resolveWorkingDir(requestedPath);
+
+    // Refused directories (and a default outside the allowed roots) don't start a session
+    const refused = resolved.refused || checkPathAllowed(resolved.path);
+    if (refused) {
+      console.log(`[${new Date().toISOString()}] Refused working directory for thread ${threadTs}: ${refused}`);
+      await say({ text: `:no_entry: Can't start a session there: ${refused}.\nAsk an admin to adjust \`allowedRoots\` / \`deniedPaths\` in the bridge config.`, thread_ts: threadTs });
+      return;
+    }
+
     workingDir = resolved.path;
     dirWarning = resolved.warning;
+    project = resolved.project;
+    cliOptions = resolveSessionOptions(options, workingDir, message.user, channel);
+
+    // Project instructions go in front of the first message of the session
+    if (project?.instructions) {
+      messageText = `${project.instructions}\n\n${messageText}`;
+    }
   }
 
   // Load sessions
@@ -1065,33 +4536,84 @@ async function handleMessage(message, channel, say) {
         return null;  // Already exists, skip creation
       }
 
-      // Check concurrent session limit
+      // Check concurrent session limit - wait in the queue for a slot
+      // (also when others are already waiting, so newcomers don't skip the line)
       const activeCount = Object.values(sessions)
         .filter(s => s.status !== 'terminated').length;
+      const othersWaiting = sessionQueue.some(e => e.threadTs !== threadTs);
 
-      if (activeCount >= config.multiSession.maxConcurrent) {
-        await say({ text: `⚠️ Maximum concurrent sessions (${config.multiSession.maxConcurrent}) reached. Please wait for an existing conversation to complete.`, thread_ts: threadTs });
+      if (activeCount >= config.multiSession.maxConcurrent || (othersWaiting && !fromQueue) || sessionQueue.some(e => e.threadTs === threadTs)) {
+        await enqueueSession(message, channel, { front: fromQueue });
         return 'limit_reached';
       }
 
-      // Check if we should resurrect (terminated session with full sessionId)
-      if (session?.status === 'terminated' && session.sessionId && !session.window.startsWith('new-')) {
-        // Resurrect session using claude --resume
-        console.log(`[${new Date().toISOString()}] Resurrecting session ${session.sessionId} for thread ${threadTs}`);
-        session = await resurrectSession(threadTs, channel, session.sessionId, workingDir);
+      // Check if we should resurrect (terminated session with full sessionId, or a fork that
+      // ended before its first turn - it is forked again)
+      const refork = session?.status === 'terminated' && !session.sessionId && session.forkedFrom;
+      if ((session?.status === 'terminated' && session.sessionId && !session.window.startsWith('new-')) || refork) {
+        // Resurrect session using claude --resume (keeping its project settings)
+        console.log(`[${new Date().toISOString()}] Resurrecting session ${session.sessionId || `fork of ${session.forkedFrom}`} for thread ${threadTs}`);
+        const previous = session;
+        // The config may have changed since the session was created
+        const refused = checkPathAllowed(workingDir || previous.workingDir || process.env.HOME);
+        if (refused) {
+          console.log(`[${new Date().toISOString()}] Refused to resurrect session ${previous.sessionId || previous.forkedFrom}: ${refused}`);
+          await say({ text: `:no_entry: Can't resume this session: ${refused}.`, thread_ts: threadTs });
+          return 'refused';
+        }
+        session = await resurrectSession(threadTs, channel, previous.sessionId || previous.forkedFrom, workingDir, previous.model, previous.backend, previous.options, { fork: !!refork });
+        for (const field of RESURRECT_KEEP_FIELDS) {
+          if (previous[field] !== undefined) session[field] = previous[field];
+        }
       } else {
         // Create new session
-        console.log(`[${new Date().toISOString()}] Creating new session for thread ${threadTs}`);
-        session = await createSession(threadTs, channel, workingDir);
+        console.log(`[${new Date().toISOString()}] Creating new session for thread ${threadTs}${project ? ` (project ${project.name})` : ''}`);
+        const backend = resolveBackend(sessionFlags, project);
+        const model = cliOptions.model || project?.model;
+        let worktree = null;
+        if (wantsWorktree(sessionFlags, project)) {
+          try {
+            worktree = createWorktree(threadTs, workingDir || process.env.HOME);
+          } catch (e) {
+            console.log(`[${new Date().toISOString()}] Could not create worktree for thread ${threadTs}: ${e.message}`);
+            await say({ text: `:no_entry: Can't create a worktree: ${e.message}.`, thread_ts: threadTs });
+            return 'refused';
+          }
+        }
+        try {
+          session = await createSession(threadTs, channel, worktree ? worktree.workingDir : workingDir, model, backend, { options: cliOptions.options });
+        } catch (e) {
+          // Nothing runs in the new checkout - don't leave it and its branch behind
+          if (worktree) finishWorktree(worktree, 'delete');
+          throw e;
+        }
+        if (worktree) {
+          const { workingDir: _, ...info } = worktree;
+          session.worktree = info;
+        }
+        session.owner = message.user;
+        session.participants = [];
+        if (model) session.model = model;
+        if (project) {
+          session.project = project.name;
+          if (project.idleTimeoutMinutes) session.idleTimeoutMinutes = project.idleTimeoutMinutes;
+        }
       }
 
-      sessions[threadTs] = session;
-      saveSessions(sessions);
+      // Written into a fresh copy - creating the session took a while, and the store didn't wait
+      const stored = loadSessions();
+      stored[threadTs] = session;
+      saveSessions(stored);
       return session;
     });
 
     // Handle lock results
-    if (created === 'limit_reached') return;
+    if (created === 'refused') return;
+    if (created === 'limit_reached') {
+      // Queued behind others while a slot may be free - let the queue catch up (outside the lock)
+      processSessionQueue();
+      return;
+    }
     if (created === null) {
       // Session was created by concurrent call, reload
       sessions = loadSessions();
@@ -1102,16 +4624,30 @@ async function handleMessage(message, channel, say) {
     if (dirWarning) {
       await say({ text: dirWarning, thread_ts: threadTs });
     }
+    if (created !== null && cliOptions.warnings.length > 0) {
+      await say({ text: cliOptions.warnings.map(w => `⚠️ Option ignored: ${w}`).join('\n'), thread_ts: threadTs });
+    }
   }
 
   // Check if session was just created (need to wait for trust prompt)
   const isNewSession = session.status === 'starting';
 
-  // Update activity timestamp (save deferred until after message processing)
-  session.last_activity = new Date().toISOString();
-  session.idle_since = null;
-  session.status = session.status === 'starting' ? 'starting' : 'active';
-  sessions[threadTs] = session;
+  // From here on the store is only written through updateStoredSession(): the awaits below
+  // (snapshot, downloads, Claude starting up) let hooks and other threads save meanwhile
+
+  // Snapshot the directory before Claude gets the message (!undo); replies to its prompts continue the turn
+  if (!session.pendingPermission && !session.pendingQuestion) {
+    const userText = project?.instructions ? messageText.slice(project.instructions.length + 2) : messageText;
+    if (await createCheckpoint(threadTs, session, userText)) {
+      updateStoredSession(threadTs, s => { s.checkpoints = session.checkpoints; });
+    }
+  }
+
+  // Headless sessions take structured input - no terminal to type into
+  if (isStreamSession(session)) {
+    await handleStreamMessage(threadTs, message, channel, messageText);
+    return;
+  }
 
   // Handle file attachments
   let filePaths = [];
@@ -1154,9 +4690,8 @@ async function handleMessage(message, channel, say) {
     // Send each file path and wait for paste mode to complete
     for (const filepath of filePaths) {
       console.log(`[${new Date().toISOString()}] Sending file: ${filepath}`);
-      // Write pending file so hook knows this came from Slack (trim for consistent hash)
-      const fileHash = createHash('md5').update(filepath.trim()).digest('hex');
-      writeFileSync(`/tmp/claude-slack-pending-${threadTs}`, fileHash);
+      // So the UserPromptSubmit hook doesn't echo it back as local input
+      rememberSlackPrompt(threadTs, filepath);
       await sendToWindow(session.window, filepath);
       // Wait for Claude to process the image paste
       await new Promise(resolve => setTimeout(resolve, TIMING.FILE_PASTE_DELAY));
@@ -1165,13 +4700,23 @@ async function handleMessage(message, channel, say) {
 
   // Add eyes reaction to show message was received
   await addReaction(channel, message.ts, 'eyes');
-  sessions[threadTs].lastMessageTs = message.ts;
+  session = updateStoredSession(threadTs, s => {
+    s.last_activity = new Date().toISOString();
+    s.idle_since = null;
+    if (s.status !== 'starting') s.status = 'active';
+    s.lastMessageTs = message.ts;
+    trackSessionMessage(s, message.ts);
+    // Claude is working until the Stop / idle_prompt hook clears this (see isClaudeWorking)
+    s.busy = true;
+    s.busy_since = s.last_activity;
+  }) || session;
   console.log(`[${new Date().toISOString()}] Stored lastMessageTs: ${message.ts} for thread ${threadTs}`);
-  saveSessions(sessions);
 
   // Send the text message
   if (messageText.trim()) {
-    let textToSend = messageText;
+    // Very long messages reach Claude as a file it is pointed to
+    const promptText = spillOversizedInput(threadTs, messageText);
+    let textToSend = promptText;
 
     // Remember if this was a question response (before clearing flags)
     const wasQuestion = session.pendingQuestion;
@@ -1181,29 +4726,44 @@ async function handleMessage(message, channel, say) {
     // Questions (AskUserQuestion) should accept arbitrary text as option 4 "Type something"
     if (session.pendingPermission && !wasQuestion && !isOptionSelection(messageText) && !parseOptionWithInstructions(messageText).hasInstructions) {
       console.log(`[${new Date().toISOString()}] Pending permission + arbitrary text -> treating as rejection with instructions`);
-      textToSend = `3 ${messageText}`;
+      textToSend = `${session.permissionMessage?.lastOption || 3} ${promptText}`;
     }
 
     // Clear pending flags since we're responding
     if (session.pendingPermission || session.pendingQuestion) {
-      session.pendingPermission = false;
-      session.pendingQuestion = false;
+      // Drop the buttons on the permission message - it was answered by this reply
+      if (session.permissionMessage) {
+        await markPermissionMessage(session.permissionMessage, 'answered', message.user, messageText);
+      }
+      // Replace the question form with the reply (kept so the next wizard step replaces it)
+      if (wasQuestion && session.questionMessage) {
+        await markQuestionAnswered(session.questionMessage, `Replied: \`${truncateText(messageText, 200)}\``, message.user);
+      }
 
       // If responding to a question, start watching for the next question
       // (multi-step AskUserQuestion wizard)
+      updateStoredSession(threadTs, s => {
+        delete s.permissionMessage;
+        s.pendingPermission = false;
+        s.pendingQuestion = false;
+        if (wasQuestion) s.watchForNextQuestion = new Date().toISOString();
+      });
       if (wasQuestion) {
-        session.watchForNextQuestion = new Date().toISOString();
         console.log(`[${new Date().toISOString()}] Started watching for next question in ${session.window}`);
       }
-
-      saveSessions(sessions);
     }
 
     console.log(`[${new Date().toISOString()}] Sending text: ${textToSend.substring(0, 50)}...`);
-    // Write pending file so hook knows this message came from Slack (trim for consistent hash)
-    const msgHash = createHash('md5').update(messageText.trim()).digest('hex');
-    writeFileSync(`/tmp/claude-slack-pending-${threadTs}`, msgHash);
-    await sendToWindow(session.window, textToSend);
+    rememberSlackPrompt(threadTs, promptText);
+    if (!await sendToWindow(session.window, textToSend)) {
+      // Nothing was submitted, so no hook will end this turn
+      await removeReaction(channel, message.ts, 'eyes');
+      updateStoredSession(threadTs, s => { delete s.busy; delete s.busy_since; });
+      await say({ text: ":warning: Claude's terminal didn't take the message, so it was not sent. Check the session (`!status`) and try again.", thread_ts: threadTs });
+      return;
+    }
+    // Look for the next wizard step only now - before, the pane still shows the answered one
+    if (wasQuestion) startQuestionWatch(threadTs);
 
     // For question responses that don't trigger a Stop event immediately, acknowledge with ✓
     // This includes: single-option toggles, multi-select, and "next" commands
@@ -1253,19 +4813,125 @@ async function handleMessage(message, channel, say) {
 }
 
 // ============================================
-// Shared Command Formatters
+// Authorization (roles)
 // ============================================
 
-// Check if user is authorized
-function isAuthorized(userId) {
-  if (!config.allowedUsers || config.allowedUsers.length === 0) {
-    return true;
+// Each role includes everything below it
+const ROLE_LEVELS = {
+  none: 0,
+  viewer: 1,    // !sessions, !status, !help - follow threads
+  operator: 2,  // chat with Claude, answer questions, !find, !projects
+  approver: 3,  // grant or reject tool permissions
+  admin: 4,     // kill sessions, change bridge settings
+};
+
+// Slack user group ID → member user IDs (refreshed by startUserGroupRefreshInterval)
+let userGroupMembers = {};
+
+// Role grants from config.roles ({ default, users, groups, channels: { C...: { default, users, groups } } })
+// Without roles: allowedUsers are admins, and an empty allowedUsers leaves the bridge open
+function getRoleGrants(scope, userId) {
+  if (!scope) return [];
+  const grants = [];
+  if (scope.default) grants.push(scope.default);
+  if (scope.users?.[userId]) grants.push(scope.users[userId]);
+  for (const [groupId, role] of Object.entries(scope.groups || {})) {
+    if (userGroupMembers[groupId]?.includes(userId)) grants.push(role);
   }
-  return config.allowedUsers.includes(userId);
+  return grants;
 }
 
+// Highest role the user has in this channel (global grants plus the channel's own)
+function getUserRole(userId, channel) {
+  if (!config.roles && (!config.allowedUsers || config.allowedUsers.length === 0)) {
+    return 'admin';
+  }
+
+  const grants = [
+    ...(config.allowedUsers?.includes(userId) ? ['admin'] : []),
+    ...getRoleGrants(config.roles, userId),
+    ...getRoleGrants(config.roles?.channels?.[channel], userId),
+  ];
+
+  return grants.reduce((best, role) =>
+    (ROLE_LEVELS[role] || 0) > ROLE_LEVELS[best] ? role : best, 'none');
+}
+
+function hasRole(userId, channel, requiredRole) {
+  return ROLE_LEVELS[getUserRole(userId, channel)] >= ROLE_LEVELS[requiredRole];
+}
+
+function roleDeniedMessage(requiredRole) {
+  return `Sorry, this needs the *${requiredRole}* role in the Claude Code bridge.`;
+}
+
+// Only the owner (who started the session) and users it was shared with may drive it; admins always can
+// Sessions created before ownership was tracked have no owner and stay open
+function canDriveSession(userId, channel, session) {
+  if (!session?.owner) return true;
+  if (session.owner === userId || session.participants?.includes(userId)) return true;
+  return hasRole(userId, channel, 'admin');
+}
+
+function ownerDeniedMessage(session) {
+  return `This session belongs to <@${session.owner}>. Ask them to \`!share\` it with you.`;
+}
+
+// Tell one user why their input was ignored without adding noise to the thread
+async function sayEphemeral(channel, userId, threadTs, text) {
+  try {
+    await app.client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text });
+  } catch (e) {
+    console.error(`Failed to post ephemeral message: ${e.message}`);
+  }
+}
+
+// Collect every user group referenced in config.roles
+function getConfiguredUserGroups() {
+  const scopes = [config.roles, ...Object.values(config.roles?.channels || {})];
+  return [...new Set(scopes.flatMap(scope => Object.keys(scope?.groups || {})))];
+}
+
+// Load members of the configured user groups (needs the usergroups:read scope)
+async function refreshUserGroups() {
+  const members = {};
+  for (const groupId of getConfiguredUserGroups()) {
+    try {
+      const result = await app.client.usergroups.users.list({ usergroup: groupId });
+      members[groupId] = result.users || [];
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] Failed to load user group ${groupId}: ${e.message}`);
+      // Keep the previous member list rather than locking everyone out on a transient error
+      members[groupId] = userGroupMembers[groupId] || [];
+    }
+  }
+  userGroupMembers = members;
+}
+
+function startUserGroupRefreshInterval() {
+  if (getConfiguredUserGroups().length === 0) return;
+  setInterval(refreshUserGroups, TIMING.USERGROUP_REFRESH_INTERVAL);
+}
+
+// Warn about typos in role names (an unknown role grants nothing)
+function validateRoles() {
+  const scopes = [config.roles, ...Object.values(config.roles?.channels || {})];
+  for (const scope of scopes) {
+    const roles = [scope?.default, ...Object.values(scope?.users || {}), ...Object.values(scope?.groups || {})];
+    for (const role of roles.filter(Boolean)) {
+      if (!(role in ROLE_LEVELS)) {
+        console.log(`Warning: unknown role "${role}" in config.roles (expected ${Object.keys(ROLE_LEVELS).join(', ')})`);
+      }
+    }
+  }
+}
+
+// ============================================
+// Shared Command Formatters
+// ============================================
+
 // Format a single session for display
-function formatSession(threadTs, s) {
+function formatSession(threadTs, s, sessions = null) {
   const now = new Date();
   const idleTime = s.idle_since ? Math.round((now - new Date(s.idle_since)) / 1000) : 0;
   const statusEmoji = s.status === 'idle' ? ':zzz:' : s.status === 'starting' ? ':hourglass:' : ':green_circle:';
@@ -1274,7 +4940,8 @@ function formatSession(threadTs, s) {
   const threadLink = workspaceUrl && s.channel
     ? `<${workspaceUrl}archives/${s.channel}/p${threadTs.replace('.', '')}|→>`
     : '';
-  return { statusEmoji, dir, idleStr, threadLink, window: s.window };
+  const lineage = sessions ? formatLineage(s, sessions) : '';
+  return { statusEmoji, dir, idleStr, threadLink, lineage, window: s.window };
 }
 
 // Get bridge status info
@@ -1284,6 +4951,7 @@ function getBridgeStatus() {
     active: Object.values(sessions).filter(s => s.status !== 'terminated').length,
     idle: Object.values(sessions).filter(s => s.status === 'idle').length,
     terminated: Object.values(sessions).filter(s => s.status === 'terminated').length,
+    queued: sessionQueue.length,
     tmuxOk: tmuxSessionExists()
   };
 }
@@ -1294,6 +4962,7 @@ function formatStatusMessage(status) {
   return `:robot_face: *Claude Code Bridge Status*\n` +
     `• tmux session \`${TMUX_SESSION}\`: ${tmuxEmoji}\n` +
     `• Active sessions: ${status.active}/${config.multiSession.maxConcurrent}\n` +
+    (status.queued > 0 ? `• Waiting for a slot: ${status.queued}\n` : '') +
     `• Idle sessions: ${status.idle}\n` +
     `• Terminated (can resurrect): ${status.terminated}\n` +
     `• Idle timeout: ${config.multiSession.idleTimeoutMinutes} minutes`;
@@ -1305,13 +4974,31 @@ function formatHelpMessage() {
     `• \`!sessions\` or \`!s\` - List active sessions\n` +
     `• \`!status\` - Show bridge status\n` +
     `• \`!find <name>\` or \`!f\` - Find project directories\n` +
+    `• \`!queue\` or \`!q\` - List requests waiting for a session slot\n` +
+    `• \`!queue cancel <n>\` / \`!queue top <n>\` - Cancel or (admin) prioritize a waiting request\n` +
+    `• \`!projects\` or \`!p\` - List registered projects\n` +
+    `• \`!project add <name> <path>\` - Register a project for \`[name]\`\n` +
+    `• \`!list [project]\` or \`!l\` - List recent Claude sessions of a directory\n` +
+    `• \`!resume <id>\` / \`!continue [project]\` - Resume a listed session or the latest one\n` +
     `• \`!kill <window>\` - Terminate a session by window name\n` +
     `• \`!kill\` (in thread) - Terminate current session\n` +
     `• \`!status\` (in thread) - Show current session info\n` +
+    `• \`!share @user\` / \`!unshare [@user]\` (in thread) - Let others drive this session\n` +
+    `• \`!handoff @user\` (in thread) - Make someone else the owner\n` +
+    `• \`!queue\` / \`!queue clear\` (in thread) - Show or drop messages waiting for Claude to finish\n` +
+    `• \`!model <name>\` / \`!mode <mode>\` (in thread) - Switch the model or permission mode\n` +
+    `• \`!fork [dir] [prompt]\` (in thread) - Continue the conversation in a new thread\n` +
+    `• \`!undo\` (in thread) - Put the files back to how they were before the last turn\n` +
+    `• \`!checkpoints\` / \`!checkpoints restore <n>\` (in thread) - List or go back to older snapshots\n` +
     `• \`!help\` - Show this help\n\n` +
-    `*Reactions:* :octagonal_sign: kill, :white_check_mark: approve, :x: reject\n\n` +
+    `*Reactions:* :octagonal_sign: kill, :white_check_mark: approve, :x: reject\n` +
+    `*Permission prompts:* use the Approve / Reject buttons, or reply with instructions\n` +
+    `*Questions:* pick an option in the form and Submit, or reply with \`2\`, \`1,3\` or free text\n\n` +
     `To start a Claude session, just send a message (creates new thread).\n` +
-    `Use \`[/path]\` prefix to set a custom working directory.`;
+    `Use \`[/path]\` or \`[project]\` prefix to set a custom working directory.\n` +
+    `Add \`+stream\` (e.g. \`[project +stream]\`) for a headless session, \`+tmux\` for a terminal one.\n` +
+    `Add \`+worktree\` to work on a new git branch in its own checkout.\n` +
+    `CLI options go in the prefix too: \`[~/app model=opus mode=plan add-dir=../shared tools=Read,Grep]\`.`;
 }
 
 // Kill a session by window name, returns result message
@@ -1341,55 +5028,300 @@ function getGitBranch(dir) {
   } catch {
     return null;
   }
-}
+}
+
+// Find directories matching query
+function findDirectories(query) {
+  if (!query) {
+    return { success: false, paths: [], message: ':warning: Usage: `!find <name>` - Search for project directories' };
+  }
+
+  // Sanitize query to prevent command injection
+  const safeQuery = query.replace(/[^a-zA-Z0-9_.-]/g, '');
+  if (!safeQuery) {
+    return { success: false, paths: [], message: ':warning: Invalid search query' };
+  }
+
+  // Search the allowed roots when configured, otherwise home
+  const { allowedRoots } = config.multiSession;
+  const searchRoots = allowedRoots.length > 0
+    ? allowedRoots.map(r => `"${canonicalPath(r)}"`).join(' ')
+    : '~';
+
+  try {
+    const result = execSync(
+      `find ${searchRoots} -maxdepth 4 -type d -iname "*${safeQuery}*" 2>/dev/null | head -20`,
+      { encoding: 'utf-8', timeout: 10000 }
+    ).trim();
+
+    // Never suggest directories a session couldn't be started in
+    const allowed = result ? result.split('\n').filter(p => checkPathAllowed(p) === null) : [];
+    if (allowed.length === 0) {
+      return { success: true, paths: [], message: `:mag: No directories found matching \`${query}\`` };
+    }
+
+    const paths = allowed
+      .map(p => {
+        const displayPath = p.replace(process.env.HOME, '~');
+        const branch = getGitBranch(displayPath);
+        return { path: displayPath, branch };
+      })
+      .slice(0, 10);
+
+    return { success: true, paths, message: `:mag: Found ${paths.length} matching "${query}":` };
+  } catch (err) {
+    return { success: false, paths: [], message: `:warning: Search failed: ${err.message}` };
+  }
+}
+
+// ============================================
+// Session Commands (inside a session thread)
+// ============================================
+
+// Format the owner and participants of a session
+function formatParticipants(session) {
+  if (!session.owner) return 'anyone (no owner recorded)';
+  const shared = (session.participants || []).map(u => `<@${u}>`);
+  return [`<@${session.owner}> (owner)`, ...shared].join(', ');
+}
+
+// Extract user IDs from Slack mentions (<@U123> or <@U123|name>)
+function parseUserMentions(text) {
+  return [...text.matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)].map(m => m[1]);
+}
+
+// Handle !kill, !status, !fork, !model, !mode, !undo, !checkpoints, !queue, !share, !handoff, !unshare in a session thread
+// Returns true if handled (other ! text goes to Claude)
+async function handleSessionCommand(text, threadTs, userId, channel, say) {
+  const cmd = text.toLowerCase().split(/\s+/)[0];
+  const sessions = loadSessions();
+  const session = sessions[threadTs];
+  if (!session) return false;
+
+  // !kill - Terminate this session
+  if (text.trim().toLowerCase() === '!kill') {
+    if (!hasRole(userId, channel, 'admin')) {
+      await say(roleDeniedMessage('admin'));
+      return true;
+    }
+    if (session.status !== 'terminated') {
+      terminateSession(threadTs, session);
+      await say(':skull: Session terminated.');
+    } else {
+      await say(':information_source: Session already terminated.');
+    }
+    return true;
+  }
+
+  // !status - Show session info
+  if (text.trim().toLowerCase() === '!status') {
+    const now = new Date();
+    const lastActivity = session.last_activity ? new Date(session.last_activity) : null;
+    const idleSeconds = lastActivity ? Math.round((now - lastActivity) / 1000) : 0;
+    const idleStr = idleSeconds > 60 ? `${Math.round(idleSeconds / 60)}m` : `${idleSeconds}s`;
+    const dir = session.workingDir?.replace(process.env.HOME, '~') || '~';
+    const statusEmoji = session.status === 'idle' ? ':zzz:' : session.status === 'starting' ? ':hourglass:' : ':green_circle:';
+
+    await say(`${statusEmoji} *Session Info*\n` +
+      `• Window: \`${session.window}\`${isStreamSession(session) ? ' (headless)' : ''}\n` +
+      `• Directory: \`${dir}\`\n` +
+      (session.worktree && !['merged', 'deleted'].includes(session.worktree.resolution) ? `• Branch: \`${session.worktree.branch}\` (worktree of \`${session.worktree.baseBranch}\`)\n` : '') +
+      (session.project ? `• Project: \`${session.project}\`\n` : '') +
+      (formatSessionOptions(session) ? `• Options: ${formatSessionOptions(session)}\n` : '') +
+      `• Status: ${session.status}\n` +
+      `• Idle: ${idleStr}\n` +
+      `• Participants: ${formatParticipants(session)}\n` +
+      `• Session ID: \`${session.sessionId || 'pending'}\``);
+    return true;
+  }
+
+  // !fork [dir] [prompt] - Continue this conversation in a new thread
+  if (cmd === '!fork') {
+    if (!hasRole(userId, channel, 'operator')) {
+      await say(roleDeniedMessage('operator'));
+      return true;
+    }
+    if (!canDriveSession(userId, channel, session)) {
+      await say(ownerDeniedMessage(session));
+      return true;
+    }
+    await say((await forkSession(threadTs, userId, text.trim().slice('!fork'.length))).message);
+    return true;
+  }
+
+  // !model [name] / !mode [mode] - Show or change the model or permission mode
+  if (cmd === '!model' || cmd === '!mode') {
+    const value = text.trim().split(/\s+/)[1];
+    if (!value) {
+      await say(cmd === '!model'
+        ? `:brain: Model: \`${session.model || 'default'}\`. Change it with \`!model <name>\` (e.g. \`opus\`, \`sonnet\`).`
+        : `:shield: Mode: \`${session.options?.mode || 'default'}\`. Change it with \`!mode <default|plan|acceptEdits|bypassPermissions>\`.`);
+      return true;
+    }
+    if (!hasRole(userId, channel, 'operator')) {
+      await say(roleDeniedMessage('operator'));
+      return true;
+    }
+    if (!canDriveSession(userId, channel, session)) {
+      await say(ownerDeniedMessage(session));
+      return true;
+    }
+    if (cmd === '!model') {
+      if (!MODEL_NAME.test(value)) {
+        await say(`:warning: Invalid model name \`${value}\`.`);
+        return true;
+      }
+      await say((await changeSessionModel(threadTs, session, value)).message);
+      return true;
+    }
+    const parsed = parsePermissionMode(value, userId, channel);
+    if (parsed.error) {
+      await say(`:warning: ${parsed.error[0].toUpperCase()}${parsed.error.slice(1)}.`);
+      return true;
+    }
+    await say((await changeSessionMode(threadTs, session, parsed.mode)).message);
+    return true;
+  }
+
+  // !undo [force] - Put the files back to before the last turn
+  // !checkpoints - List the snapshots; !checkpoints restore <n> [force] - go back to one
+  if (cmd === '!undo' || cmd === '!checkpoints') {
+    const args = text.trim().toLowerCase().split(/\s+/).slice(1);
+    if (cmd === '!checkpoints' && args.length === 0) {
+      await say(formatCheckpoints(session));
+      return true;
+    }
+    const usage = cmd === '!undo'
+      ? args.length > 1 || (args[0] && args[0] !== 'force')
+      : args[0] !== 'restore' || !/^\d+$/.test(args[1] || '') || args.length > 3 || (args[2] && args[2] !== 'force');
+    if (usage) {
+      await say(':warning: Usage: `!undo [force]`, `!checkpoints` or `!checkpoints restore <n> [force]`');
+      return true;
+    }
+    if (!hasRole(userId, channel, 'operator')) {
+      await say(roleDeniedMessage('operator'));
+      return true;
+    }
+    if (!canDriveSession(userId, channel, session)) {
+      await say(ownerDeniedMessage(session));
+      return true;
+    }
+
+    const checkpoint = cmd === '!undo'
+      ? lastTurnCheckpoint(session)
+      : session.checkpoints?.find(c => c.id === Number(args[1]));
+    if (!checkpoint) {
+      await say(cmd === '!undo'
+        ? ':information_source: Nothing to undo - no checkpoint was taken before a turn in this session.'
+        : `:warning: No checkpoint #${args[1]}. \`!checkpoints\` lists them.`);
+      return true;
+    }
+    const forceCommand = cmd === '!undo' ? '!undo' : `!checkpoints restore ${args[1]}`;
+    const result = await restoreCheckpoint(threadTs, session, checkpoint, forceCommand, args.includes('force'));
+    updateStoredSession(threadTs, s => {
+      s.checkpoints = session.checkpoints;
+      s.knownState = session.knownState;
+    });
+    await say(result.message);
+    return true;
+  }
 
-// Find directories matching query
-function findDirectories(query) {
-  if (!query) {
-    return { success: false, paths: [], message: ':warning: Usage: `!find <name>` - Search for project directories' };
+  // !queue - Show messages waiting for Claude to finish; !queue clear - drop them
+  if (cmd === '!queue' || cmd === '!q') {
+    const action = text.trim().toLowerCase().split(/\s+/)[1];
+    if (!action) {
+      await say(formatHeldInput(threadTs));
+      return true;
+    }
+    // The session slot queue's commands work here too
+    if (action === 'cancel' || action === 'top') {
+      return handleBotCommand(text, channel, say, userId);
+    }
+    if (action !== 'clear') {
+      await say(':warning: Usage: `!queue`, `!queue clear`, `!queue cancel <n>` or `!queue top <n>`');
+      return true;
+    }
+    if (!hasRole(userId, channel, 'operator')) {
+      await say(roleDeniedMessage('operator'));
+      return true;
+    }
+    if (!canDriveSession(userId, channel, session)) {
+      await say(ownerDeniedMessage(session));
+      return true;
+    }
+    const dropped = dropHeldInput(threadTs, `cleared by ${userId}`);
+    await say(dropped > 0 ? `:wastebasket: Dropped ${dropped} waiting message(s).` : ':information_source: No messages waiting.');
+    return true;
   }
 
-  // Sanitize query to prevent command injection
-  const safeQuery = query.replace(/[^a-zA-Z0-9_.-]/g, '');
-  if (!safeQuery) {
-    return { success: false, paths: [], message: ':warning: Invalid search query' };
+  if (!['!share', '!handoff', '!unshare'].includes(cmd)) return false;
+
+  // Changing who drives the session: owner or admin only
+  if (session.owner && session.owner !== userId && !hasRole(userId, channel, 'admin')) {
+    await say(`:no_entry: Only <@${session.owner}> (the owner) or an admin can change who drives this session.`);
+    return true;
   }
 
-  try {
-    const result = execSync(
-      `find ~ -maxdepth 4 -type d -iname "*${safeQuery}*" 2>/dev/null | head -20`,
-      { encoding: 'utf-8', timeout: 10000 }
-    ).trim();
+  const mentioned = parseUserMentions(text);
+  const participants = session.participants || [];
 
-    if (!result) {
-      return { success: true, paths: [], message: `:mag: No directories found matching \`${query}\`` };
+  // !share @user ... - Let others send messages and answer prompts
+  if (cmd === '!share') {
+    if (mentioned.length === 0) {
+      await say(':warning: Usage: `!share @user [@user...]`');
+      return true;
     }
+    // Claim ownership of a legacy session so sharing means something
+    session.owner = session.owner || userId;
+    session.participants = [...new Set([...participants, ...mentioned])].filter(u => u !== session.owner);
+    saveSessions(sessions);
+    console.log(`[${new Date().toISOString()}] Session ${session.window} shared with ${mentioned.join(', ')}`);
+    await say(`:busts_in_silhouette: Participants: ${formatParticipants(session)}`);
+    return true;
+  }
 
-    const paths = result.split('\n')
-      .map(p => {
-        const displayPath = p.replace(process.env.HOME, '~');
-        const branch = getGitBranch(displayPath);
-        return { path: displayPath, branch };
-      })
-      .slice(0, 10);
-
-    return { success: true, paths, message: `:mag: Found ${paths.length} matching "${query}":` };
-  } catch (err) {
-    return { success: false, paths: [], message: `:warning: Search failed: ${err.message}` };
+  // !handoff @user - Make someone else the owner
+  if (cmd === '!handoff') {
+    if (mentioned.length !== 1) {
+      await say(':warning: Usage: `!handoff @user`');
+      return true;
+    }
+    const newOwner = mentioned[0];
+    session.owner = newOwner;
+    session.participants = participants.filter(u => u !== newOwner);
+    saveSessions(sessions);
+    console.log(`[${new Date().toISOString()}] Session ${session.window} handed off to ${newOwner}`);
+    await say(`:handshake: <@${newOwner}> now owns this session.\nParticipants: ${formatParticipants(session)}`);
+    return true;
   }
+
+  // !unshare [@user ...] - Remove some or all participants
+  session.owner = session.owner || userId;
+  session.participants = mentioned.length > 0 ? participants.filter(u => !mentioned.includes(u)) : [];
+  saveSessions(sessions);
+  console.log(`[${new Date().toISOString()}] Session ${session.window} unshared${mentioned.length > 0 ? ` from ${mentioned.join(', ')}` : ''}`);
+  await say(`:lock: Participants: ${formatParticipants(session)}`);
+  return true;
 }
 
 // ============================================
 // Bot Commands (via DM)
 // ============================================
 
-async function handleBotCommand(text, channel, say) {
+async function handleBotCommand(text, channel, say, userId) {
   const cmd = text.toLowerCase();
 
+  // Refuse a command the user's role doesn't allow (returns true = handled)
+  const denied = async (requiredRole) => {
+    if (hasRole(userId, channel, requiredRole)) return false;
+    await say(roleDeniedMessage(requiredRole));
+    return true;
+  };
+
   // !sessions - List active sessions
   if (cmd === '!sessions' || cmd === '!s') {
     const sessions = loadSessions();
-    const activeSessions = Object.entries(sessions).filter(([_, s]) => s.status !== 'terminated');
+    const activeSessions = orderByLineage(Object.entries(sessions).filter(([_, s]) => s.status !== 'terminated'));
 
     if (activeSessions.length === 0) {
       await say(':information_source: No active sessions.');
@@ -1399,8 +5331,8 @@ async function handleBotCommand(text, channel, say) {
     await say(`:clipboard: *Active Sessions (${activeSessions.length}/${config.multiSession.maxConcurrent})*`);
 
     for (const [threadTs, s] of activeSessions) {
-      const fmt = formatSession(threadTs, s);
-      await say(`${fmt.statusEmoji} ${fmt.dir}${fmt.idleStr} ${fmt.threadLink}`);
+      const fmt = formatSession(threadTs, s, sessions);
+      await say(`${fmt.statusEmoji} ${fmt.dir}${fmt.idleStr}${fmt.lineage} ${fmt.threadLink}`);
       await say(fmt.window);
     }
     return true;
@@ -1414,6 +5346,7 @@ async function handleBotCommand(text, channel, say) {
 
   // !kill <window> - Terminate a session
   if (cmd.startsWith('!kill ')) {
+    if (await denied('admin')) return true;
     const windowName = text.slice(6).trim();
     const result = killSession(windowName);
     await say(result.message);
@@ -1422,6 +5355,7 @@ async function handleBotCommand(text, channel, say) {
 
   // !find <query> - Find project paths
   if (cmd.startsWith('!find ') || cmd.startsWith('!f ')) {
+    if (await denied('operator')) return true;
     const query = text.slice(cmd.startsWith('!f ') ? 3 : 6).trim();
     const result = findDirectories(query);
 
@@ -1437,6 +5371,104 @@ async function handleBotCommand(text, channel, say) {
     return true;
   }
 
+  // !queue - List threads waiting for a session slot
+  // !queue cancel <n> - Cancel a waiting request (own, or any for admins)
+  // !queue top <n> - Move a waiting request to the front (admin)
+  if (cmd === '!queue' || cmd === '!q' || cmd.startsWith('!queue ')) {
+    const [, action, arg] = cmd.split(/\s+/);
+    const position = parseInt(arg, 10);
+
+    if (!action) {
+      await say(formatQueueMessage());
+      return true;
+    }
+    if (!['cancel', 'top'].includes(action) || !position) {
+      await say(':warning: Usage: `!queue`, `!queue cancel <n>` or `!queue top <n>`');
+      return true;
+    }
+    if (action === 'cancel') {
+      if (await denied('operator')) return true;
+      await say((await cancelQueueEntry(position, userId, channel)).message);
+      return true;
+    }
+    if (await denied('admin')) return true;
+    await say((await moveQueueEntryToFront(position)).message);
+    return true;
+  }
+
+  // !projects - List registered projects
+  if (cmd === '!projects' || cmd === '!p') {
+    if (await denied('operator')) return true;
+    await say(formatProjectsMessage());
+    return true;
+  }
+
+  // !project add <name> <path> - Register a project
+  if (cmd.startsWith('!project add ') || cmd === '!project add') {
+    if (await denied('admin')) return true;
+    const [name, ...pathParts] = text.slice('!project add'.length).trim().split(/\s+/);
+    const result = addProject(name, pathParts.join(' '));
+    await say(result.message);
+    return true;
+  }
+
+  // !list [project|path] - Recent Claude sessions of a directory
+  if (cmd === '!list' || cmd === '!l' || cmd.startsWith('!list ')) {
+    if (await denied('operator')) return true;
+    const resolved = resolveWorkingDir(text.split(/\s+/)[1]);
+    const refused = resolved.refused || checkPathAllowed(resolved.path);
+    if (refused) {
+      await say(`:no_entry: ${refused}.`);
+      return true;
+    }
+    if (resolved.warning) await say(resolved.warning);
+    await say(formatSessionListMessage(resolved.path));
+    return true;
+  }
+
+  // !resume <id-prefix> - Resume a Claude session (in its original thread if there is one)
+  if (cmd === '!resume' || cmd.startsWith('!resume ')) {
+    if (await denied('operator')) return true;
+    const prefix = text.split(/\s+/)[1];
+    if (!prefix) {
+      await say(':warning: Usage: `!resume <session-id>` (see `!list`)');
+      return true;
+    }
+    const match = findIndexedSession(prefix);
+    if (match.ambiguous) {
+      await say(`:warning: \`${prefix}\` matches several sessions: ${match.ambiguous.map(id => `\`${id.slice(0, 8)}\``).join(', ')}`);
+      return true;
+    }
+    // Sessions the index doesn't know (yet) can still be resumed from the store
+    const stored = match.entry ? null : Object.values(loadSessions()).find(s => s.sessionId?.startsWith(prefix));
+    const entry = match.entry || (stored && { sessionId: stored.sessionId, projectPath: stored.workingDir });
+    if (!entry) {
+      await say(`:warning: No Claude session found for \`${prefix}\`.`);
+      return true;
+    }
+    await say((await resumeIndexedSession(entry, channel, userId)).message);
+    return true;
+  }
+
+  // !continue [project|path] - Resume the most recent Claude session of a directory
+  if (cmd === '!continue' || cmd.startsWith('!continue ')) {
+    if (await denied('operator')) return true;
+    const resolved = resolveWorkingDir(text.split(/\s+/)[1]);
+    const refused = resolved.refused || checkPathAllowed(resolved.path);
+    if (refused) {
+      await say(`:no_entry: ${refused}.`);
+      return true;
+    }
+    if (resolved.warning) await say(resolved.warning);
+    const [latest] = readSessionsIndex(getSessionsIndexPath(resolved.path), resolved.path);
+    if (!latest) {
+      await say(`:information_source: No Claude sessions found for \`${resolved.path.replace(process.env.HOME, '~')}\`.`);
+      return true;
+    }
+    await say((await resumeIndexedSession(latest, channel, userId)).message);
+    return true;
+  }
+
   // !help - Show available commands
   if (cmd === '!help' || cmd === '!h') {
     await say(formatHelpMessage());
@@ -1459,8 +5491,8 @@ app.message(async ({ message, say }) => {
   if (message.subtype && message.subtype !== 'file_share') return;
   if (!message.user) return;
 
-  // Check if user is allowed (optional security)
-  if (!isAuthorized(message.user)) {
+  // Check if user has any role here (finer checks per command below)
+  if (!hasRole(message.user, message.channel, 'viewer')) {
     await say("Sorry, you're not authorized to control Claude Code.");
     return;
   }
@@ -1474,42 +5506,11 @@ app.message(async ({ message, say }) => {
   const sessions = loadSessions();
   const isClaudeSession = isThread && sessions[message.thread_ts];
 
-  // Special case: !kill within a Claude session kills that session
-  if (text.toLowerCase() === '!kill' && isClaudeSession) {
-    const session = sessions[message.thread_ts];
-    if (session && session.status !== 'terminated') {
-      terminateSession(message.thread_ts, session);
-      await say({ text: ':skull: Session terminated.', thread_ts: message.thread_ts });
-    } else {
-      await say({ text: ':information_source: Session already terminated.', thread_ts: message.thread_ts });
-    }
-    return;
-  }
-
-  // Special case: !status within a Claude session shows session info
-  if (text.toLowerCase() === '!status' && isClaudeSession) {
-    const session = sessions[message.thread_ts];
-    if (session) {
-      const now = new Date();
-      const lastActivity = session.last_activity ? new Date(session.last_activity) : null;
-      const idleSeconds = lastActivity ? Math.round((now - lastActivity) / 1000) : 0;
-      const idleStr = idleSeconds > 60 ? `${Math.round(idleSeconds / 60)}m` : `${idleSeconds}s`;
-      const dir = session.workingDir?.replace(process.env.HOME, '~') || '~';
-      const statusEmoji = session.status === 'idle' ? ':zzz:' : session.status === 'starting' ? ':hourglass:' : ':green_circle:';
-
-      await say({
-        text: `${statusEmoji} *Session Info*\n` +
-          `• Window: \`${session.window}\`\n` +
-          `• Directory: \`${dir}\`\n` +
-          `• Status: ${session.status}\n` +
-          `• Idle: ${idleStr}\n` +
-          `• Session ID: \`${session.sessionId || 'pending'}\``,
-        thread_ts: message.thread_ts
-      });
-    } else {
-      await say({ text: ':warning: Session not found.', thread_ts: message.thread_ts });
-    }
-    return;
+  // Commands inside a Claude session thread (!kill, !status, !share, ...)
+  if (isClaudeSession && text.startsWith('!')) {
+    const sayInThread = (text) => say({ text, thread_ts: message.thread_ts });
+    const handled = await handleSessionCommand(text, message.thread_ts, message.user, message.channel, sayInThread);
+    if (handled) return;
   }
 
   // Handle bot commands:
@@ -1519,7 +5520,7 @@ app.message(async ({ message, say }) => {
     // Wrap say to reply in thread
     const sayInThread = (text) => say({ text, thread_ts: isThread ? message.thread_ts : message.ts });
     try {
-      const handled = await handleBotCommand(text, message.channel, sayInThread);
+      const handled = await handleBotCommand(text, message.channel, sayInThread, message.user);
       if (handled) return;
     } catch (err) {
       console.error(`[${new Date().toISOString()}] Command error:`, err);
@@ -1528,19 +5529,22 @@ app.message(async ({ message, say }) => {
     }
   }
 
-  await handleMessage(message, message.channel, say);
+  // Claude gets the message as typed (names, links and code blocks instead of Slack markup)
+  const normalized = { ...message, text: await normalizeInboundMessage(message, { names: slackNames }) };
+  await handleMessage(normalized, message.channel, say);
 });
 
 // Handle app mentions in channels
 app.event('app_mention', async ({ event, say }) => {
-  // Check if user is allowed
-  if (!isAuthorized(event.user)) {
+  // Check if user has any role here (handleMessage requires operator to chat)
+  if (!hasRole(event.user, event.channel, 'viewer')) {
     await say("Sorry, you're not authorized to control Claude Code.");
     return;
   }
 
-  // Remove the bot mention from the text
-  const text = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+  // Remove the bot mention from the text (other mentions are kept, e.g. for !share @user)
+  const mentionPattern = botUserId ? new RegExp(`<@${botUserId}(\\|[^>]*)?>`, 'g') : /<@[A-Z0-9]+>/g;
+  const text = event.text.replace(mentionPattern, '').trim();
 
   if (!text) {
     await say("Send me a message and I'll forward it to Claude Code!");
@@ -1550,9 +5554,16 @@ app.event('app_mention', async ({ event, say }) => {
   const isThread = !!event.thread_ts;
   console.log(`[${new Date().toISOString()}] Mention from ${event.user}${isThread ? ' (in thread)' : ''}: ${text.substring(0, 100)}`);
 
-  // Create message-like object for handleMessage
+  // Session commands in channel threads arrive as mentions (@Claude !share @user)
+  if (isThread && text.startsWith('!') && loadSessions()[event.thread_ts]) {
+    const sayInThread = (text) => say({ text, thread_ts: event.thread_ts });
+    const handled = await handleSessionCommand(text, event.thread_ts, event.user, event.channel, sayInThread);
+    if (handled) return;
+  }
+
+  // Create message-like object for handleMessage (normalized like direct messages, minus our mention)
   const messageObj = {
-    text: text,
+    text: await normalizeInboundMessage(event, { names: slackNames, skipUser: botUserId }),
     ts: event.ts,
     thread_ts: event.thread_ts,
     user: event.user
@@ -1561,39 +5572,48 @@ app.event('app_mention', async ({ event, say }) => {
   await handleMessage(messageObj, event.channel, say);
 });
 
+// Reaction → command (works on any tracked message in a session thread)
+const REACTION_COMMANDS = {
+  octagonal_sign: 'kill',
+  stop_sign: 'kill',
+  no_entry: 'kill',
+  white_check_mark: 'approve',
+  heavy_check_mark: 'approve',
+  x: 'reject',
+  negative_squared_cross_mark: 'reject',
+};
+
+// Role needed for each reaction command
+const REACTION_ROLES = { kill: 'admin', approve: 'approver', reject: 'approver' };
+
 // Handle reactions as commands
 app.event('reaction_added', async ({ event }) => {
-  // Only handle reactions from authorized users
-  if (!isAuthorized(event.user)) return;
+  // Only handle reactions from users with some role (checked per command below)
+  if (!hasRole(event.user, event.item.channel, 'viewer')) return;
+
+  // Only handle reactions on messages
+  if (event.item.type !== 'message' || !event.item.ts) return;
 
-  // Only handle reactions in threads (Claude sessions)
-  if (!event.item.ts) return;
+  const command = REACTION_COMMANDS[event.reaction];
+  if (!command) return;
 
+  // Find the session: thread parent, permission/question message, or any tracked reply
   const sessions = loadSessions();
-  // Find session by thread_ts (the reaction could be on any message in the thread)
-  // We need to find if this message belongs to a Claude session thread
-  const threadTs = event.item.ts;
+  const found = findSessionByMessageTs(sessions, event.item.ts);
+  if (!found) return;
 
-  // Check if there's a session for this thread or if the message is in a session thread
-  let session = sessions[threadTs];
-  let sessionThreadTs = threadTs;
-
-  // If not found directly, this might be a reaction on a reply in the thread
-  // We'd need the thread_ts of the parent, but reaction_added doesn't give us that
-  // So we'll only handle reactions on the original message that started the session
-  if (!session) {
-    // Try to find a session where this ts might be a message in the thread
-    // This is limited - reactions only work on the thread's parent message
+  const [sessionThreadTs, session] = found;
+  if (session.status === 'terminated') return;
+
+  if (!hasRole(event.user, event.item.channel, REACTION_ROLES[command])) {
+    console.log(`[${new Date().toISOString()}] Ignoring ${event.reaction} from ${event.user} - needs ${REACTION_ROLES[command]} role`);
     return;
   }
 
-  if (session.status === 'terminated') return;
-
-  const reaction = event.reaction;
-  console.log(`[${new Date().toISOString()}] Reaction ${reaction} on session ${session.window}`);
+  console.log(`[${new Date().toISOString()}] Reaction ${event.reaction} on session ${session.window}`);
 
   // 🛑 Stop/kill session
-  if (reaction === 'octagonal_sign' || reaction === 'stop_sign' || reaction === 'no_entry') {
+  if (command === 'kill') {
     console.log(`[${new Date().toISOString()}] Killing session via reaction`);
     terminateSession(sessionThreadTs, session);
     // Post confirmation
@@ -1609,27 +5629,326 @@ app.event('reaction_added', async ({ event }) => {
     return;
   }
 
+  // Only the owner and participants answer prompts (admins always can)
+  if (!canDriveSession(event.user, event.item.channel, session)) {
+    console.log(`[${new Date().toISOString()}] Ignoring ${event.reaction} from ${event.user} - not a participant of ${session.window}`);
+    return;
+  }
+
+  // Approve/reject only when Claude is actually waiting on a prompt - a stray ✅ on an
+  // old message must not send keystrokes into a running session
+  if (!session.pendingPermission && await getCurrentQuestion(sessionThreadTs, session) === null) {
+    console.log(`[${new Date().toISOString()}] Ignoring ${command} reaction - no pending prompt for it`);
+    return;
+  }
+
   // ✅ Approve permission prompt (send "1" to select first option)
-  if (reaction === 'white_check_mark' || reaction === 'heavy_check_mark') {
+  if (command === 'approve') {
     console.log(`[${new Date().toISOString()}] Approving via reaction`);
-    try {
-      execSync(`tmux send-keys -t ${TMUX_SESSION}:${session.window} '1'`);
-    } catch (e) {
-      console.error(`Failed to send approval: ${e.message}`);
-    }
+    await decidePermission(sessionThreadTs, session, 'approve', event.user);
     return;
   }
 
-  // ❌ Reject/deny permission prompt (send "2" for No or Escape to cancel)
-  if (reaction === 'x' || reaction === 'negative_squared_cross_mark') {
+  // ❌ Reject/deny permission prompt (Escape to cancel)
+  if (command === 'reject') {
     console.log(`[${new Date().toISOString()}] Rejecting via reaction`);
+    await decidePermission(sessionThreadTs, session, 'reject', event.user);
+    return;
+  }
+});
+
+// Permission prompt buttons (buildPermissionBlocks - hook prompts and stream permission requests): Approve / Approve always / Reject
+app.action(/^permission_(approve|approve_always|reject)$/, async ({ ack, body, action, respond }) => {
+  await ack();
+
+  if (!hasRole(body.user.id, body.channel?.id, 'approver')) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: roleDeniedMessage('approver') });
+    return;
+  }
+
+  const { thread: threadTs } = JSON.parse(action.value);
+  const decision = action.action_id.replace(/^permission_/, '');
+  const session = loadSessions()[threadTs];
+
+  if (!canDriveSession(body.user.id, body.channel?.id, session)) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: ownerDeniedMessage(session) });
+    return;
+  }
+
+  if (!await isPermissionMessageCurrent(session, body.message.ts)) {
+    await refuseStalePermission(body, respond);
+    return;
+  }
+
+  await decidePermission(threadTs, session, decision, body.user.id);
+});
+
+// Reject with instructions: open a modal asking what Claude should do instead
+app.action('permission_reject_instructions', async ({ ack, body, action, client, respond }) => {
+  await ack();
+
+  if (!hasRole(body.user.id, body.channel?.id, 'approver')) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: roleDeniedMessage('approver') });
+    return;
+  }
+
+  const { thread: threadTs } = JSON.parse(action.value);
+  const session = loadSessions()[threadTs];
+
+  if (!canDriveSession(body.user.id, body.channel?.id, session)) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: ownerDeniedMessage(session) });
+    return;
+  }
+
+  if (!await isPermissionMessageCurrent(session, body.message.ts)) {
+    await refuseStalePermission(body, respond);
+    return;
+  }
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: 'modal',
+      callback_id: 'permission_reject_modal',
+      private_metadata: JSON.stringify({ threadTs, messageTs: body.message.ts }),
+      title: { type: 'plain_text', text: 'Reject permission' },
+      submit: { type: 'plain_text', text: 'Reject' },
+      close: { type: 'plain_text', text: 'Cancel' },
+      blocks: [
+        {
+          type: 'input',
+          block_id: 'instructions',
+          label: { type: 'plain_text', text: 'What should Claude do instead?' },
+          element: { type: 'plain_text_input', action_id: 'value', multiline: true }
+        }
+      ]
+    }
+  });
+});
+
+app.view('permission_reject_modal', async ({ ack, body, view }) => {
+  const { threadTs, messageTs } = JSON.parse(view.private_metadata);
+  const instructions = view.state.values.instructions.value.value?.trim();
+  const session = loadSessions()[threadTs];
+
+  // Same checks as the button that opened the modal - the submit comes without a channel
+  const denied = !hasRole(body.user.id, session?.channel, 'approver') ? roleDeniedMessage('approver')
+    : !canDriveSession(body.user.id, session?.channel, session) ? ownerDeniedMessage(session) : null;
+  if (denied) {
+    await ack({ response_action: 'errors', errors: { instructions: denied } });
+    return;
+  }
+
+  // Prompt may have been answered while the modal was open
+  if (!await isPermissionMessageCurrent(session, messageTs)) {
+    await ack({
+      response_action: 'errors',
+      errors: { instructions: 'This permission prompt is no longer pending - it was already answered.' }
+    });
+    return;
+  }
+
+  await ack();
+  await decidePermission(threadTs, session, 'reject_instructions', body.user.id, instructions);
+});
+
+// Question form: radio/checkbox changes need an ack; the selection is read from state on Submit
+app.action('question_select', async ({ ack }) => {
+  await ack();
+});
+
+// Refuse a click on a question form that was already answered
+async function refuseStaleQuestion(respond) {
+  await respond({
+    response_type: 'ephemeral',
+    replace_original: false,
+    text: ':information_source: This question is no longer pending - it was already answered.'
+  });
+}
+
+// Question form Submit: translate the selection into keystrokes
+app.action('question_submit', async ({ ack, body, action, respond }) => {
+  await ack();
+
+  if (!hasRole(body.user.id, body.channel?.id, 'operator')) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: roleDeniedMessage('operator') });
+    return;
+  }
+
+  const { thread: threadTs } = JSON.parse(action.value);
+  const session = loadSessions()[threadTs];
+
+  if (!canDriveSession(body.user.id, body.channel?.id, session)) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: ownerDeniedMessage(session) });
+    return;
+  }
+
+  const questionData = await isQuestionMessageCurrent(threadTs, session, body.message.ts) && await getCurrentQuestion(threadTs, session);
+  if (!questionData) {
+    await refuseStaleQuestion(respond);
+    return;
+  }
+
+  const state = body.state?.values?.question_choice?.question_select;
+  const keys = questionData.multiSelect
+    ? (state?.selected_options || []).map(o => o.value)
+    : [state?.selected_option?.value].filter(Boolean);
+
+  if (!questionData.multiSelect && keys.length === 0) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: ':point_up: Pick an option first.' });
+    return;
+  }
+
+  await answerQuestion(threadTs, session, questionData, { keys }, body.user.id);
+});
+
+// "Type something else": open a modal for a free-text answer
+app.action('question_other', async ({ ack, body, action, client, respond }) => {
+  await ack();
+
+  if (!hasRole(body.user.id, body.channel?.id, 'operator')) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: roleDeniedMessage('operator') });
+    return;
+  }
+
+  const { thread: threadTs } = JSON.parse(action.value);
+  const session = loadSessions()[threadTs];
+
+  if (!canDriveSession(body.user.id, body.channel?.id, session)) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: ownerDeniedMessage(session) });
+    return;
+  }
+
+  if (!await isQuestionMessageCurrent(threadTs, session, body.message.ts)) {
+    await refuseStaleQuestion(respond);
+    return;
+  }
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: 'modal',
+      callback_id: 'question_other_modal',
+      private_metadata: JSON.stringify({ threadTs, messageTs: body.message.ts }),
+      title: { type: 'plain_text', text: 'Answer Claude' },
+      submit: { type: 'plain_text', text: 'Send' },
+      close: { type: 'plain_text', text: 'Cancel' },
+      blocks: [
+        {
+          type: 'input',
+          block_id: 'answer',
+          label: { type: 'plain_text', text: truncateText(session.questionMessage.question, 150) },
+          element: { type: 'plain_text_input', action_id: 'value', multiline: true }
+        }
+      ]
+    }
+  });
+});
+
+app.view('question_other_modal', async ({ ack, body, view }) => {
+  const { threadTs, messageTs } = JSON.parse(view.private_metadata);
+  const text = view.state.values.answer.value.value?.trim() || '';
+  const session = loadSessions()[threadTs];
+
+  // Same checks as the button that opened the modal - the submit comes without a channel
+  const denied = !hasRole(body.user.id, session?.channel, 'operator') ? roleDeniedMessage('operator')
+    : !canDriveSession(body.user.id, session?.channel, session) ? ownerDeniedMessage(session) : null;
+  if (denied) {
+    await ack({ response_action: 'errors', errors: { answer: denied } });
+    return;
+  }
+
+  const questionData = await isQuestionMessageCurrent(threadTs, session, messageTs) && await getCurrentQuestion(threadTs, session);
+  if (!questionData) {
+    await ack({
+      response_action: 'errors',
+      errors: { answer: 'This question is no longer pending - it was already answered.' }
+    });
+    return;
+  }
+
+  await ack();
+  await answerQuestion(threadTs, session, questionData, { text }, body.user.id);
+});
+
+// Worktree buttons (posted when a worktree session is terminated): Keep / Merge / Delete
+app.action(/^worktree_(keep|merge|delete)$/, async ({ ack, body, action, respond }) => {
+  await ack();
+
+  if (!hasRole(body.user.id, body.channel?.id, 'operator')) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: roleDeniedMessage('operator') });
+    return;
+  }
+
+  const { thread: threadTs } = JSON.parse(action.value);
+  const session = loadSessions()[threadTs];
+
+  if (!canDriveSession(body.user.id, body.channel?.id, session)) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: ownerDeniedMessage(session) });
+    return;
+  }
+  if (!session?.worktree || ['merged', 'deleted'].includes(session.worktree.resolution)) {
+    await respond({ replace_original: true, text: ':information_source: This branch was already taken care of.' });
+    return;
+  }
+  if (session.status !== 'terminated') {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: ':warning: The session is running again - end it with `!kill` first.' });
+    return;
+  }
+
+  const decision = action.action_id.replace(/^worktree_/, '');
+  const result = finishWorktree(session.worktree, decision);
+  if (!result.success) {
+    await respond({ response_type: 'ephemeral', replace_original: false, text: result.message });
+    return;
+  }
+
+  // The next message resumes in the original checkout - Claude must find the transcript there
+  if (decision !== 'keep' && session.sessionId) {
     try {
-      execSync(`tmux send-keys -t ${TMUX_SESSION}:${session.window} Escape`);
+      copyTranscript(session.sessionId, session.workingDir, session.worktree.sourceDir);
     } catch (e) {
-      console.error(`Failed to send rejection: ${e.message}`);
+      console.error(`[${new Date().toISOString()}] Could not copy the transcript of ${session.sessionId} to ${session.worktree.sourceDir}: ${e.message}`);
     }
+  }
+
+  updateStoredSession(threadTs, s => {
+    s.worktree.resolution = { keep: 'kept', merge: 'merged', delete: 'deleted' }[decision];
+    // Resurrection starts in the original checkout once the worktree is gone
+    if (decision !== 'keep') s.workingDir = s.worktree.sourceDir;
+  });
+  await respond({ replace_original: true, text: `${result.message} (<@${body.user.id}>)` });
+});
+
+// "Fork session" message shortcut: !fork for the thread the message is in
+app.shortcut('fork_session', async ({ ack, shortcut, respond }) => {
+  await ack();
+
+  const userId = shortcut.user.id;
+  const channel = shortcut.channel?.id;
+  if (!hasRole(userId, channel, 'operator')) {
+    await respond({ response_type: 'ephemeral', text: roleDeniedMessage('operator') });
+    return;
+  }
+
+  const found = findSessionByMessageTs(loadSessions(), shortcut.message.thread_ts || shortcut.message.ts);
+  if (!found) {
+    await respond({ response_type: 'ephemeral', text: ':information_source: That message is not in a Claude session thread.' });
+    return;
+  }
+
+  const [threadTs, session] = found;
+  if (!canDriveSession(userId, channel, session)) {
+    await respond({ response_type: 'ephemeral', text: ownerDeniedMessage(session) });
     return;
   }
+
+  const result = await forkSession(threadTs, userId);
+  if (result.success) {
+    await postToSessionThread(threadTs, session.channel, result.message);
+  } else {
+    await respond({ response_type: 'ephemeral', text: result.message });
+  }
 });
 
 // ============================================
@@ -1640,13 +5959,13 @@ app.event('reaction_added', async ({ event }) => {
 app.command('/claude-sessions', async ({ command, ack, respond }) => {
   await ack();
 
-  if (!isAuthorized(command.user_id)) {
-    await respond("Sorry, you're not authorized.");
+  if (!hasRole(command.user_id, command.channel_id, 'viewer')) {
+    await respond(roleDeniedMessage('viewer'));
     return;
   }
 
   const sessions = loadSessions();
-  const activeSessions = Object.entries(sessions).filter(([_, s]) => s.status !== 'terminated');
+  const activeSessions = orderByLineage(Object.entries(sessions).filter(([_, s]) => s.status !== 'terminated'));
 
   if (activeSessions.length === 0) {
     await respond(':information_source: No active sessions.');
@@ -1654,8 +5973,8 @@ app.command('/claude-sessions', async ({ command, ack, respond }) => {
   }
 
   const lines = activeSessions.map(([threadTs, s]) => {
-    const fmt = formatSession(threadTs, s);
-    return `${fmt.statusEmoji} \`${fmt.window}\` - ${fmt.dir}${fmt.idleStr} ${fmt.threadLink}`;
+    const fmt = formatSession(threadTs, s, sessions);
+    return `${fmt.statusEmoji} \`${fmt.window}\` - ${fmt.dir}${fmt.idleStr}${fmt.lineage} ${fmt.threadLink}`;
   });
 
   await respond(`:clipboard: *Active Sessions (${activeSessions.length}/${config.multiSession.maxConcurrent})*\n${lines.join('\n')}`);
@@ -1665,8 +5984,8 @@ app.command('/claude-sessions', async ({ command, ack, respond }) => {
 app.command('/claude-status', async ({ command, ack, respond }) => {
   await ack();
 
-  if (!isAuthorized(command.user_id)) {
-    await respond("Sorry, you're not authorized.");
+  if (!hasRole(command.user_id, command.channel_id, 'viewer')) {
+    await respond(roleDeniedMessage('viewer'));
     return;
   }
 
@@ -1677,8 +5996,8 @@ app.command('/claude-status', async ({ command, ack, respond }) => {
 app.command('/claude-kill', async ({ command, ack, respond }) => {
   await ack();
 
-  if (!isAuthorized(command.user_id)) {
-    await respond("Sorry, you're not authorized.");
+  if (!hasRole(command.user_id, command.channel_id, 'admin')) {
+    await respond(roleDeniedMessage('admin'));
     return;
   }
 
@@ -1690,8 +6009,8 @@ app.command('/claude-kill', async ({ command, ack, respond }) => {
 app.command('/claude-find', async ({ command, ack, respond }) => {
   await ack();
 
-  if (!isAuthorized(command.user_id)) {
-    await respond("Sorry, you're not authorized.");
+  if (!hasRole(command.user_id, command.channel_id, 'operator')) {
+    await respond(roleDeniedMessage('operator'));
     return;
   }
 
@@ -1721,28 +6040,43 @@ app.command('/claude-help', async ({ command, ack, respond }) => {
 // ============================================
 
 (async () => {
+  // Open (or create / migrate) the session store
+  initSessionStore();
+
   // Reconnect to existing sessions
   await reconnectSessions();
 
+  // Drop long-terminated sessions (if configured)
+  startPruneInterval();
+
   // Start idle cleanup interval
   startCleanupInterval();
 
-  // Start crash detection health check
-  startHealthCheckInterval();
+  // Follow tmux through control mode (crash detection, question watches, readiness waits)
+  startTmuxEventHandlers();
 
   // Start temp file cleanup (removes files older than 2 weeks)
   startTempFileCleanupInterval();
 
-  // Start question polling (for multi-step AskUserQuestion)
-  startQuestionPollingInterval();
+  // Refresh "working…" messages
+  startProgressInterval();
+
+  // Receive Claude Code hooks (slack-notify.sh / slack-forward-prompt.sh)
+  startHookServer();
 
   // Start the Slack app
   await app.start();
 
+  // Load user group members for role checks, then keep them fresh
+  validateRoles();
+  await refreshUserGroups();
+  startUserGroupRefreshInterval();
+
   // Fetch workspace URL for thread links
   try {
     const authResult = await app.client.auth.test();
     workspaceUrl = authResult.url; // e.g., https://workspace.slack.com/
+    botUserId = authResult.user_id;
   } catch (e) {
     console.warn('Could not fetch workspace URL:', e.message);
   }
@@ -1756,6 +6090,20 @@ app.command('/claude-help', async ({ command, ack, respond }) => {
   console.log(`Max concurrent sessions: ${config.multiSession.maxConcurrent}`);
   console.log(`Idle timeout: ${config.multiSession.idleTimeoutMinutes} minutes`);
   console.log(`Default working dir: ${config.multiSession.defaultWorkingDir}`);
+  if (config.multiSession.allowedRoots.length > 0) {
+    console.log(`Allowed roots: ${config.multiSession.allowedRoots.join(', ')}`);
+  }
+  if (config.multiSession.deniedPaths.length > 0) {
+    console.log(`Denied paths: ${config.multiSession.deniedPaths.join(', ')}`);
+  }
+  const defaultDirRefused = checkPathAllowed(config.multiSession.defaultWorkingDir);
+  if (defaultDirRefused) {
+    console.log(`Warning: default working dir is refused (${defaultDirRefused}) - messages without [dir] won't start sessions`);
+  }
+  if (config.roles) {
+    const groupCount = getConfiguredUserGroups().length;
+    console.log(`Roles: ${Object.keys(config.roles.users || {}).length} user(s), ${groupCount} group(s), ${Object.keys(config.roles.channels || {}).length} channel scope(s)`);
+  }
   console.log('');
   console.log('Usage:');
   console.log('  - DM the bot or @mention it to start a new session');
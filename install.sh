@@ -304,6 +304,30 @@ if [[ "$SKIP_HOOKS" != "true" ]]; then
         }
       ]
     }
+  ],
+  "PreToolUse": [
+    {
+      "matcher": "",
+      "hooks": [
+        {
+          "type": "command",
+          "command": "~/.claude/slack-notify.sh",
+          "timeout": 2
+        }
+      ]
+    }
+  ],
+  "PostToolUse": [
+    {
+      "matcher": "",
+      "hooks": [
+        {
+          "type": "command",
+          "command": "~/.claude/slack-notify.sh",
+          "timeout": 2
+        }
+      ]
+    }
   ]
 }
 EOF
@@ -0,0 +1,174 @@
+// Markdown → Slack mrkdwn
+// Claude answers in Markdown; Slack has its own dialect (mrkdwn) and a length limit per
+// message. No Slack calls here, so the conversion and splitting can be tested on their own.
+
+// Stay below Slack's 4000 characters per message
+export const MAX_MESSAGE_LENGTH = 3500;
+
+export function escapeSlackText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Code block with Slack's escaping; a ``` inside would end the block early, so it's broken up
+export function formatCodeBlock(code) {
+  return '```\n' + (escapeSlackText(code.replace(/```/g, '`\u200b``')) || ' ') + '\n```';
+}
+
+// Inline Markdown: code spans, links, bold, italic, strikethrough
+function convertInlineMarkdown(text) {
+  // Code spans and links are set aside so emphasis rules don't touch them
+  const kept = [];
+  const keep = (mrkdwn) => `\u0000${kept.push(mrkdwn) - 1}\u0000`;
+
+  const converted = escapeSlackText(text
+    .replace(/`([^`\n]+)`/g, (_, code) => keep('`' + escapeSlackText(code) + '`'))
+    .replace(/!?\[([^\]\n]+)\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/g, (_, label, url) =>
+      keep(`<${url.replace(/&/g, '&amp;')}|${escapeSlackText(label).replace(/\|/g, '¦')}>`))
+    .replace(/<(https?:\/\/[^>\s]+)>/g, (_, url) => keep(`<${url.replace(/&/g, '&amp;')}>`)))
+    .replace(/(\*\*|__)(?=\S)(.*?\S)\1/g, '\u0001$2\u0001')                       // Bold (marked, then *)
+    .replace(/(^|[^\w*])\*(?=[^\s*])([^*\n]*?[^\s*])?\*(?![\w*])/g, '$1_$2_')  // *italic* → _italic_
+    .replace(/~~(?=\S)(.*?\S)~~/g, '~$1~')
+    .replace(/\u0001/g, '*');
+
+  return converted.replace(/\u0000(\d+)\u0000/g, (_, i) => kept[i]);
+}
+
+// Table rows → aligned monospace (cell Markdown is reduced to plain text)
+function formatTable(rows) {
+  const plain = (cell) => cell.trim()
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/(\*\*|__|`|~~)/g, '');
+  const cells = rows.map(row => row.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(plain));
+  const widths = [];
+  for (const row of cells) {
+    row.forEach((cell, col) => { widths[col] = Math.max(widths[col] || 0, [...cell].length); });
+  }
+
+  const format = row => widths.map((width, col) => (row[col] || '') + ' '.repeat(width - [...(row[col] || '')].length)).join(' | ').trimEnd();
+  const [header, ...body] = cells;
+  return formatCodeBlock([format(header), widths.map(w => '-'.repeat(w)).join('-+-'), ...body.map(format)].join('\n'));
+}
+
+// Convert Claude's Markdown to Slack mrkdwn: headings, emphasis, lists, links,
+// fenced code (language as a label) and tables
+export function markdownToMrkdwn(markdown) {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const out = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (fence) {
+      const close = new RegExp(`^\\s*${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      for (i++; i < lines.length && !close.test(lines[i]); i++) code.push(lines[i]);
+      if (fence[2]) out.push(`_${fence[2]}_`);
+      out.push(formatCodeBlock(code.join('\n')));
+      continue;
+    }
+
+    if (/^\s*\|.*\|\s*$/.test(line) && /^\s*\|?[\s:|-]*-{3,}[\s:|-]*$/.test(lines[i + 1] || '')) {
+      const rows = [line];
+      for (i += 2; i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i]); i++) rows.push(lines[i]);
+      i--;
+      out.push(formatTable(rows));
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)[\s#]*$/);
+    if (heading) {
+      out.push(`*${convertInlineMarkdown(heading[1]).replace(/\*/g, '')}*`);
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push('──────────');
+      continue;
+    }
+
+    const bullet = line.match(/^(\s*)[-*+]\s+(?:\[([ xX])\]\s+)?(.*)$/);
+    if (bullet) {
+      const level = Math.floor(bullet[1].length / 2);
+      const marker = bullet[2] !== undefined ? (bullet[2] === ' ' ? '☐' : '☑') : (level > 0 ? '◦' : '•');
+      out.push(`${'    '.repeat(level)}${marker} ${convertInlineMarkdown(bullet[3])}`);
+      continue;
+    }
+
+    const numbered = line.match(/^(\s*)(\d+)[.)]\s+(.*)$/);
+    if (numbered) {
+      out.push(`${'    '.repeat(Math.floor(numbered[1].length / 2))}${numbered[2]}. ${convertInlineMarkdown(numbered[3])}`);
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      out.push(`> ${convertInlineMarkdown(quote[1])}`);
+      continue;
+    }
+
+    out.push(convertInlineMarkdown(line));
+  }
+
+  return out.join('\n');
+}
+
+// Split a message for Slack between blocks (paragraphs, lists, code blocks) instead of
+// at a fixed length; a block that alone is too long is split between lines, and a code
+// block cut in two is closed and reopened
+export function splitMessage(text, max = MAX_MESSAGE_LENGTH) {
+  const blocks = [];
+  let block = [];
+  let inFence = false;
+  for (const line of text.split('\n')) {
+    if (!inFence && line.trim() === '') {
+      if (block.length > 0) blocks.push(block.join('\n'));
+      block = [];
+      continue;
+    }
+    block.push(line);
+    if (line.trimStart().startsWith('```')) inFence = !inFence;
+  }
+  if (block.length > 0) blocks.push(block.join('\n'));
+
+  const chunks = [];
+  let chunk = '';
+  for (const b of blocks) {
+    const pieces = b.length > max ? splitLongBlock(b, max) : [b];
+    pieces.forEach((piece, i) => {
+      // Pieces of one block never share a message - the blank line between them isn't in the text
+      if (chunk && (i > 0 || chunk.length + 2 + piece.length > max)) {
+        chunks.push(chunk);
+        chunk = '';
+      }
+      chunk = chunk ? `${chunk}\n\n${piece}` : piece;
+    });
+  }
+  if (chunk) chunks.push(chunk);
+  return chunks;
+}
+
+function splitLongBlock(block, max) {
+  const limit = max - 8;  // Room to close and reopen a code block
+  const lines = [];
+  for (const line of block.split('\n')) {
+    for (let i = 0; i === 0 || i < line.length; i += limit) lines.push(line.slice(i, i + limit));
+  }
+
+  const pieces = [];
+  let piece = [];
+  let length = 0;
+  let inFence = false;
+  for (const line of lines) {
+    if (piece.length > 0 && length + line.length + 1 > limit) {
+      pieces.push(piece.join('\n') + (inFence ? '\n```' : ''));
+      piece = inFence ? ['```'] : [];
+      length = inFence ? 4 : 0;
+    }
+    piece.push(line);
+    length += line.length + 1;
+    if (line.trimStart().startsWith('```')) inFence = !inFence;
+  }
+  if (piece.length > 0) pieces.push(piece.join('\n'));
+  return pieces;
+}
@@ -17,8 +17,11 @@
 #   slack-claude --list ~/myapp           # List sessions for directory
 
 CONFIG_FILE="$HOME/.claude/slack-bridge/config.json"
-SESSIONS_FILE="/tmp/claude-slack-sessions.json"
-SESSIONS_LOCK="/tmp/claude-slack-sessions.lock"
+# Session store of bridge.js ({version, sessions: {thread_ts: session}})
+SESSIONS_FILE="$HOME/.claude/slack-bridge/sessions.json"
+SESSIONS_LOCK="$HOME/.claude/slack-bridge/sessions.lock"
+# Store layout this script writes - taken from bridge.js so the two can't drift apart
+STORE_VERSION=$(sed -n 's/^const STORE_VERSION = \([0-9][0-9]*\);.*/\1/p' "$HOME/.claude/slack-bridge/bridge.js" 2>/dev/null)
 
 # Get Claude sessions index path for a directory
 get_sessions_index() {
@@ -193,7 +196,7 @@ find_thread_for_session() {
   # Look for session by full ID or prefix match
   local result
   result=$(jq -r --arg sid "$session_id" '
-    to_entries[]
+    .sessions | to_entries[]
     | select(.value.sessionId != null and (.value.sessionId == $sid or (.value.sessionId | startswith($sid))))
     | "\(.key)|\(.value.channel)"
   ' "$SESSIONS_FILE" 2>/dev/null | head -1)
@@ -206,6 +209,39 @@ find_thread_for_session() {
   return 1
 }
 
+# Check a directory against multiSession.allowedRoots / deniedPaths (same rules as bridge.js)
+# Prints the reason and returns 1 if refused
+check_working_dir() {
+  local dir
+  dir=$(realpath -m "$1")
+
+  local entry real_entry
+  while IFS= read -r entry; do
+    [[ -z "$entry" ]] && continue
+    real_entry=$(realpath -m "${entry/#\~/$HOME}")
+    if [[ "$dir" == "$real_entry" || "$dir" == "${real_entry%/}/"* ]]; then
+      echo "${dir/#$HOME/~} is inside denied path $entry" >&2
+      return 1
+    fi
+  done < <(jq -r '.multiSession.deniedPaths // [] | .[]' "$CONFIG_FILE")
+
+  local roots=()
+  while IFS= read -r entry; do
+    [[ -n "$entry" ]] && roots+=("$entry")
+  done < <(jq -r '.multiSession.allowedRoots // [] | .[]' "$CONFIG_FILE")
+  [[ ${#roots[@]} -eq 0 ]] && return 0
+
+  for entry in "${roots[@]}"; do
+    real_entry=$(realpath -m "${entry/#\~/$HOME}")
+    if [[ "$dir" == "$real_entry" || "$dir" == "${real_entry%/}/"* ]]; then
+      return 0
+    fi
+  done
+
+  echo "${dir/#$HOME/~} is outside the allowed roots (${roots[*]})" >&2
+  return 1
+}
+
 # Ensure tmux session and bridge are running
 ensure_bridge_running() {
   local tmux_session="$1"
@@ -348,6 +384,12 @@ if [[ ! -d "$WORKING_DIR" ]]; then
 fi
 WORKING_DIR=$(cd "$WORKING_DIR" && pwd)
 
+# Refuse directories the bridge would refuse (allowedRoots / deniedPaths in config)
+if ! check_working_dir "$WORKING_DIR"; then
+  echo "Error: Working directory not allowed by bridge config" >&2
+  exit 1
+fi
+
 # Handle --list mode
 if [[ "$LIST_MODE" == true ]]; then
   list_sessions "$WORKING_DIR"
@@ -465,7 +507,7 @@ if [[ "$RESUME_MODE" == "resume" && -n "$RESUME_ID" ]]; then
   WINDOW_NAME="${RESUME_ID:0:8}"
 else
   # Use incremental index for new sessions
-  WINDOW_INDEX=$(jq -r '[to_entries[].value.window | select(startswith("new-")) | ltrimstr("new-") | tonumber] | max // 0' "$SESSIONS_FILE" 2>/dev/null || echo "0")
+  WINDOW_INDEX=$(jq -r '[.sessions | to_entries[].value.window | select(startswith("new-")) | ltrimstr("new-") | tonumber] | max // 0' "$SESSIONS_FILE" 2>/dev/null || echo "0")
   WINDOW_INDEX=$((WINDOW_INDEX + 1))
   WINDOW_NAME="new-${WINDOW_INDEX}"
 fi
@@ -517,34 +559,41 @@ if [[ -n "$MESSAGE" ]]; then
 fi
 
 # Register/update session in sessions.json
+# The bridge migrates older stores when it starts - any other version (or a damaged file) is left alone
 echo "  Registering session..."
 CREATED_AT=$(date -Iseconds)
-if [[ "$RESUME_MODE" == "resume" && -n "$RESUME_ID" ]]; then
+FILE_VERSION=$(jq -r '.version // 1' "$SESSIONS_FILE" 2>/dev/null)
+if [[ -z "$STORE_VERSION" ]]; then
+  echo "  Warning: can't tell the session store version from bridge.js - session not registered" >&2
+elif [[ -f "$SESSIONS_FILE" && "$FILE_VERSION" != "$STORE_VERSION" ]]; then
+  echo "  Warning: $SESSIONS_FILE is version ${FILE_VERSION:-unreadable}, expected $STORE_VERSION - session not registered" >&2
+elif [[ "$RESUME_MODE" == "resume" && -n "$RESUME_ID" ]]; then
   # Update existing session entry (preserve sessionId)
   flock "$SESSIONS_LOCK" -c "
     if [[ ! -f '$SESSIONS_FILE' ]]; then
-      echo '{}' > '$SESSIONS_FILE'
+      echo '{\"version\": $STORE_VERSION, \"sessions\": {}}' > '$SESSIONS_FILE'
     fi
-    TMP_FILE=\$(mktemp)
+    TMP_FILE='$SESSIONS_FILE.tmp'
     jq --arg ts '$THREAD_TS' \
        --arg win '$WINDOW_NAME' \
        --arg activity '$CREATED_AT' \
-       '.[\$ts].window = \$win | .[\$ts].status = \"active\" | .[\$ts].last_activity = \$activity | del(.[\$ts].idle_since)' \
+       '.sessions[\$ts].window = \$win | .sessions[\$ts].status = \"active\" | .sessions[\$ts].last_activity = \$activity | del(.sessions[\$ts].idle_since)
+        | .sessions[\$ts].history |= ((. // []) | if (last | .status?) == \"active\" then . else . + [{status: \"active\", at: \$activity}] end | .[-50:])' \
        '$SESSIONS_FILE' > \"\$TMP_FILE\" && mv \"\$TMP_FILE\" '$SESSIONS_FILE'
   "
 else
   # Create new session entry
   flock "$SESSIONS_LOCK" -c "
     if [[ ! -f '$SESSIONS_FILE' ]]; then
-      echo '{}' > '$SESSIONS_FILE'
+      echo '{\"version\": $STORE_VERSION, \"sessions\": {}}' > '$SESSIONS_FILE'
     fi
-    TMP_FILE=\$(mktemp)
+    TMP_FILE='$SESSIONS_FILE.tmp'
     jq --arg ts '$THREAD_TS' \
        --arg ch '$CHANNEL' \
        --arg win '$WINDOW_NAME' \
        --arg dir '$WORKING_DIR' \
        --arg created '$CREATED_AT' \
-       '.[\$ts] = {channel: \$ch, window: \$win, workingDir: \$dir, status: \"active\", created_at: \$created}' \
+       '.sessions[\$ts] = {channel: \$ch, window: \$win, workingDir: \$dir, status: \"active\", created_at: \$created, history: [{status: \"active\", at: \$created}]}' \
        '$SESSIONS_FILE' > \"\$TMP_FILE\" && mv \"\$TMP_FILE\" '$SESSIONS_FILE'
   "
 fi
@@ -4,7 +4,7 @@
 # If no thread_ts provided, detects from environment or sessions.json
 
 CONFIG_FILE="$HOME/.claude/slack-bridge/config.json"
-SESSIONS_FILE="/tmp/claude-slack-sessions.json"
+SESSIONS_FILE="$HOME/.claude/slack-bridge/sessions.json"
 
 # Load bot token from config
 if [[ ! -f "$CONFIG_FILE" ]]; then
@@ -33,7 +33,7 @@ if [[ -z "$THREAD_TS" && -f "$SESSIONS_FILE" ]]; then
   # Try to find session by current tmux window name
   CURRENT_WINDOW=$(tmux display-message -p '#{window_name}' 2>/dev/null)
   if [[ -n "$CURRENT_WINDOW" ]]; then
-    SESSION_DATA=$(jq -r "to_entries[] | select(.value.window == \"$CURRENT_WINDOW\") | \"\(.key)|\(.value.channel)\"" "$SESSIONS_FILE" 2>/dev/null | head -1)
+    SESSION_DATA=$(jq -r ".sessions | to_entries[] | select(.value.window == \"$CURRENT_WINDOW\") | \"\(.key)|\(.value.channel)\"" "$SESSIONS_FILE" 2>/dev/null | head -1)
     if [[ -n "$SESSION_DATA" ]]; then
       THREAD_TS=$(echo "$SESSION_DATA" | cut -d'|' -f1)
       CHANNEL=$(echo "$SESSION_DATA" | cut -d'|' -f2)
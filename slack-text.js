@@ -0,0 +1,175 @@
+// Inbound Slack markup → plain text for Claude
+// Slack escapes &, < and > and wraps links and mentions in <...>; Claude should see what
+// the user typed. Mentions are shown by name: `names` ({ user, channel, userGroup }, each
+// id → Promise<name>) does the lookups, so nothing here calls Slack.
+
+function decodeSlackEntities(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Resolve one <...> token of Slack's text format
+async function decodeSlackToken(token, names) {
+  const [target, label] = token.split(/\|(.*)/s);
+
+  if (target.startsWith('@')) {
+    return `@${label || await names.user(target.slice(1))}`;
+  }
+  if (target.startsWith('#')) {
+    return `#${label || await names.channel(target.slice(1))}`;
+  }
+  if (target.startsWith('!subteam^')) {
+    return label || `@${await names.userGroup(target.slice('!subteam^'.length))}`;
+  }
+  if (target.startsWith('!date^')) {
+    return label || target;
+  }
+  if (target.startsWith('!')) {
+    return `@${target.slice(1)}`;  // <!here>, <!channel>, <!everyone>
+  }
+
+  return formatInboundLink(decodeSlackEntities(target), label && decodeSlackEntities(label));
+}
+
+// Slack auto-links bare URLs and addresses, so a label that just repeats the URL is dropped
+function formatInboundLink(url, text) {
+  if (!text || text === url || `mailto:${text}` === url || url.endsWith(`//${text}`)) {
+    return url.startsWith('mailto:') ? url.slice('mailto:'.length) : url;
+  }
+  return `${text} (${url})`;
+}
+
+// Normalize the mrkdwn-ish `text` field of a message
+export async function normalizeSlackText(text, names) {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(/<([^<>]+)>/g)) {
+    result += decodeSlackEntities(text.slice(last, match.index));
+    result += await decodeSlackToken(match[1], names);
+    last = match.index + match[0].length;
+  }
+  return result + decodeSlackEntities(text.slice(last));
+}
+
+// Render a rich_text emoji - the unicode code points when Slack sends them (custom emoji don't)
+function renderRichTextEmoji(element) {
+  if (!element.unicode) return `:${element.name}:`;
+  try {
+    return String.fromCodePoint(...element.unicode.split('-').map(cp => parseInt(cp, 16)));
+  } catch {
+    return `:${element.name}:`;
+  }
+}
+
+// Wrap text in Markdown for the styles the user applied in the composer
+function applyRichTextStyle(text, style) {
+  if (!style || !text.trim()) return text;
+  if (style.code) return `\`${text}\``;
+  // Keep the whitespace outside the markers (**bold **is not bold)
+  const [, lead, core, trail] = text.match(/^(\s*)(.*?)(\s*)$/s);
+  let styled = core;
+  if (style.strike) styled = `~~${styled}~~`;
+  if (style.italic) styled = `_${styled}_`;
+  if (style.bold) styled = `**${styled}**`;
+  return lead + styled + trail;
+}
+
+// Render the inline elements of a section / preformatted / quote block
+async function renderRichTextElements(elements, { names, skipUser, plain = false }) {
+  let out = '';
+  for (const element of elements || []) {
+    switch (element.type) {
+      case 'text':
+        out += plain ? element.text : applyRichTextStyle(element.text, element.style);
+        break;
+      case 'link':
+        out += plain ? (element.text || element.url) : formatInboundLink(element.url, element.text);
+        break;
+      case 'user':
+        if (element.user_id === skipUser) break;
+        out += `@${await names.user(element.user_id)}`;
+        break;
+      case 'usergroup':
+        out += `@${await names.userGroup(element.usergroup_id)}`;
+        break;
+      case 'channel':
+        out += `#${await names.channel(element.channel_id)}`;
+        break;
+      case 'broadcast':
+        out += `@${element.range}`;
+        break;
+      case 'emoji':
+        out += renderRichTextEmoji(element);
+        break;
+      case 'date':
+        out += element.fallback || String(element.timestamp);
+        break;
+      case 'color':
+        out += element.value;
+        break;
+      default:
+        if (element.text) out += element.text;
+    }
+  }
+  return out;
+}
+
+// Render one top-level rich_text element as Markdown
+async function renderRichTextBlock(block, options) {
+  switch (block.type) {
+    case 'rich_text_section':
+      return renderRichTextElements(block.elements, options);
+    case 'rich_text_preformatted': {
+      const code = await renderRichTextElements(block.elements, { ...options, plain: true });
+      return `\`\`\`\n${code.replace(/\n$/, '')}\n\`\`\`\n`;
+    }
+    case 'rich_text_quote': {
+      const quote = await renderRichTextElements(block.elements, options);
+      return quote.replace(/\n$/, '').split('\n').map(line => `> ${line}`).join('\n') + '\n';
+    }
+    case 'rich_text_list': {
+      const indent = '  '.repeat(block.indent || 0);
+      const lines = [];
+      for (const [i, item] of (block.elements || []).entries()) {
+        const bullet = block.style === 'ordered' ? `${(block.offset || 0) + i + 1}.` : '-';
+        const text = await renderRichTextBlock(item, options);
+        lines.push(`${indent}${bullet} ${text.replace(/\n$/, '')}`);
+      }
+      return lines.join('\n') + '\n';
+    }
+    default:
+      return '';
+  }
+}
+
+// Text of the message's rich_text blocks, or null if it has none (older clients, bots)
+export async function renderRichText(blocks, options) {
+  const richText = (blocks || []).filter(b => b.type === 'rich_text');
+  if (richText.length === 0) return null;
+
+  let out = '';
+  for (const block of richText) {
+    for (const element of block.elements || []) {
+      const rendered = await renderRichTextBlock(element, options);
+      // Blocks after a section start on their own line (sections carry their own newlines)
+      if (out && !out.endsWith('\n') && element.type !== 'rich_text_section') out += '\n';
+      out += rendered;
+    }
+  }
+  return out.trim();
+}
+
+// What Claude should see for an inbound message: rich_text blocks when present
+// (they keep code blocks, quotes and lists as typed), else the normalized text.
+// skipUser drops a mention (the bot's own, for @Claude ... messages).
+export async function normalizeInboundMessage(message, { names, skipUser } = {}) {
+  try {
+    const rendered = await renderRichText(message.blocks, { names, skipUser });
+    if (rendered) return rendered;
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Failed to render rich_text, using message text: ${e.message}`);
+  }
+
+  let text = message.text || '';
+  if (skipUser) text = text.replace(new RegExp(`<@${skipUser}(\\|[^>]*)?>`, 'g'), '');
+  return (await normalizeSlackText(text, names)).trim();
+}
@@ -9,7 +9,7 @@
 # Or reads from sessions.json based on current tmux window
 
 CONFIG_FILE="$HOME/.claude/slack-bridge/config.json"
-SESSIONS_FILE="/tmp/claude-slack-sessions.json"
+SESSIONS_FILE="$HOME/.claude/slack-bridge/sessions.json"
 
 # Check arguments
 if [[ -z "$1" ]]; then
@@ -52,7 +52,7 @@ if [[ -z "$THREAD_TS" || -z "$CHANNEL" ]] && [[ -f "$SESSIONS_FILE" ]]; then
   fi
 
   if [[ -n "$CURRENT_WINDOW" ]]; then
-    SESSION_DATA=$(jq -r "to_entries[] | select(.value.window == \"$CURRENT_WINDOW\") | \"\(.key)|\(.value.channel)\"" "$SESSIONS_FILE" | head -1)
+    SESSION_DATA=$(jq -r ".sessions | to_entries[] | select(.value.window == \"$CURRENT_WINDOW\") | \"\(.key)|\(.value.channel)\"" "$SESSIONS_FILE" | head -1)
     if [[ -n "$SESSION_DATA" ]]; then
       THREAD_TS=$(echo "$SESSION_DATA" | cut -d'|' -f1)
       CHANNEL=$(echo "$SESSION_DATA" | cut -d'|' -f2)
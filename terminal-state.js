@@ -0,0 +1,247 @@
+// Claude Code terminal state classifier
+// Reads a tmux pane capture of the Claude TUI and decides what Claude is doing, so every
+// check of the UI (startup, busy, prompts) lives in one place and can be tested against
+// captured panes (test/fixtures/terminal) when the CLI's UI changes.
+
+export const TERMINAL_STATES = [
+  'starting',       // Shell or Claude still loading - nothing to interact with yet
+  'trust-prompt',   // "Do you trust the files in this folder?"
+  'ready',          // Input box waiting for a prompt
+  'busy',           // Working on a turn ("esc to interrupt")
+  'permission',     // Tool permission prompt ("Do you want to proceed?")
+  'question',       // AskUserQuestion options
+  'plan-approval',  // Plan mode: "Would you like to proceed?" with the plan
+  'error',          // Turn or startup ended with an error (API error, login needed)
+  'exited',         // Claude quit, the shell prompt is back
+];
+
+// States where Claude waits on a numbered-option prompt the user answers from Slack
+export const PROMPT_STATES = ['permission', 'question', 'plan-approval'];
+
+const OPTION_LINE = /^\s*(?:[❯►>]\s*)?\d+\.\s/;
+const RULE_LINE = /^\s*[─━╭╰]{1}[─━]{9,}/;
+const TOOL_LINE = /● ([A-Za-z_][\w-]*)\(/;
+const BUSY_LINE = /esc to interrupt/i;
+const ERROR_LINE = /API Error|Invalid API key|Please run \/login|OAuth token (?:has )?expired|Credit balance is too low|usage limit reached/i;
+const SHELL_PROMPT = /[$#%]\s*$/;
+
+// Remove the borders of (nested) boxes: "│ │ text │ │" → " text"
+// Leading indentation inside the box is kept (option descriptions are indented)
+function stripBox(line) {
+  let stripped = line.replace(/\s+$/, '');
+  while (/^\s*│/.test(stripped)) stripped = stripped.replace(/^\s*│/, '');
+  while (/│$/.test(stripped)) stripped = stripped.replace(/\s*│$/, '');
+  return stripped;
+}
+
+function isBlank(line) {
+  return line.trim() === '' || /^\s*[╭╰][─━]*[╮╯]?\s*$/.test(line);
+}
+
+// The prompt input box: "> " or "❯ " (not an option selector) right below a rule or box top
+function findInputBox(lines) {
+  for (let i = lines.length - 1; i > 0; i--) {
+    if (!/^\s*[>❯](\s|$)/.test(lines[i]) || OPTION_LINE.test(lines[i])) continue;
+    let above = i - 1;
+    while (above > 0 && lines[above].trim() === '') above--;
+    if (RULE_LINE.test(lines[above])) return { line: i, top: above };
+  }
+  return null;
+}
+
+// Parse the option list below a question into structured choices
+// Multi-select options show a checkbox ("1. [ ] Label" / "1. [✓] Label"); indented lines
+// under an option are its description. "Type something" and "Submit"/"Next" are not choices.
+// Returns { choices: [{ key, label, description, checked }], multiSelect, freeTextKey, proceedKey }
+export function parseQuestionChoices(lines) {
+  const choices = [];
+  let multiSelect = false;
+  let freeTextKey = null;
+  let proceedKey = null;
+  let last = null;
+
+  for (const line of lines) {
+    if (/Esc to cancel|Enter to select/.test(line)) break;
+
+    const match = line.match(/^\s*(?:[❯►>]\s*)?(\d+)\.\s+(?:\[([^\]]?)\]\s*)?(.*?)\s*$/);
+    if (match) {
+      const [, key, checkbox, label] = match;
+      last = null;
+      if (checkbox !== undefined) multiSelect = true;
+
+      if (/^type something/i.test(label)) {
+        freeTextKey = key;
+      } else if (checkbox === undefined && /^(submit|next)\b/i.test(label)) {
+        proceedKey = key;
+      } else {
+        last = { key, label, description: '', checked: !!checkbox?.trim() };
+        choices.push(last);
+      }
+      continue;
+    }
+
+    // Indented continuation line = description of the previous option
+    if (last && /^\s{3,}\S/.test(line)) {
+      last.description = (last.description + ' ' + line.trim()).trim();
+    }
+  }
+
+  return { choices, multiSelect, freeTextKey, proceedKey };
+}
+
+// The numbered-option prompt at the bottom of the pane, or null
+// `lines` are box-stripped; nothing but footer may follow the options (no input box, no output)
+function findPrompt(lines) {
+  let lastOption = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (OPTION_LINE.test(lines[i])) {
+      lastOption = i;
+      break;
+    }
+    // Output or an input box below the last options: they were answered long ago
+    if (TOOL_LINE.test(lines[i]) || /^\s*[>❯](\s|$)/.test(lines[i])) return null;
+  }
+  if (lastOption < 0) return null;
+
+  // Walk up through options, their descriptions, blanks and separators to the question
+  let questionLine = -1;
+  for (let i = lastOption; i >= 0; i--) {
+    const line = lines[i];
+    if (OPTION_LINE.test(line) || isBlank(line) || RULE_LINE.test(line) || /^\s{3,}\S/.test(line)) continue;
+    questionLine = i;
+    break;
+  }
+  if (questionLine < 0) return null;
+
+  // Everything from the question to the footer: options with their descriptions
+  const optionLines = [];
+  for (const line of lines.slice(questionLine + 1)) {
+    if (/Esc to (cancel|exit)|Enter to (select|confirm)/.test(line)) break;
+    optionLines.push(line);
+  }
+
+  return { questionLine, lastOption, question: lines[questionLine].trim(), optionLines };
+}
+
+// "● Tool(...)" block between the previous input box / prompt and the question
+function findToolContext(lines, questionLine, inputBox) {
+  const floor = inputBox && inputBox.line < questionLine ? inputBox.line : -1;
+  for (let i = questionLine - 1; i > floor; i--) {
+    const match = lines[i].match(TOOL_LINE);
+    if (match) {
+      const context = lines.slice(i, questionLine);
+      while (context.length && context[context.length - 1].trim() === '') context.pop();
+      return { tool: match[1], context: context.join('\n') };
+    }
+  }
+  return null;
+}
+
+// Plan text of the plan-approval box (between "Here is Claude's plan:" and the question)
+function findPlan(lines, questionLine) {
+  const start = lines.findIndex(line => /Here is Claude's plan/i.test(line));
+  if (start < 0 || start > questionLine) return '';
+  const plan = lines.slice(start + 1, questionLine).filter(line => !RULE_LINE.test(line));
+  const indent = Math.min(...plan.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+  return plan.map(line => line.slice(indent)).join('\n').trim();
+}
+
+// Permission mode from the footer under the input box ("⏸ plan mode on (shift+tab to cycle)")
+// Shift+Tab cycles default → acceptEdits → plan (→ bypassPermissions when Claude was started with it)
+const MODE_FOOTERS = [
+  [/plan mode on/i, 'plan'],
+  [/accept edits on/i, 'acceptEdits'],
+  [/bypass permissions on/i, 'bypassPermissions'],
+];
+
+export function detectPermissionMode(content) {
+  const lines = (content || '').split('\n').map(stripBox).filter(line => line.trim());
+  const footer = lines.slice(-3).join('\n');
+  return MODE_FOOTERS.find(([pattern]) => pattern.test(footer))?.[1] || 'default';
+}
+
+// Classify a pane capture (`tmux capture-pane -p`)
+// Returns { state, prompt, message }:
+// - prompt: for trust-prompt and PROMPT_STATES - { question, options, full, text, choices,
+//   multiSelect, freeTextKey, proceedKey } plus tool/context (permission), plan (plan-approval)
+//   or folder (trust-prompt)
+// - message: the status line (busy) or error text (error)
+export function classifyTerminal(content) {
+  const lines = (content || '').split('\n').map(stripBox);
+  while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+  const result = (state, extra = {}) => ({ state, prompt: null, message: null, ...extra });
+  if (lines.length === 0) return result('starting');
+
+  const inputBox = findInputBox(lines);
+  const found = findPrompt(lines);
+
+  if (found) {
+    const { questionLine, question, optionLines } = found;
+    const options = optionLines.filter(line => OPTION_LINE.test(line)).map(line => line.trim());
+    const prompt = {
+      question,
+      options,
+      full: question + '\n' + options.join('\n'),
+      text: [question, ...options].join('\n'),
+      ...parseQuestionChoices(optionLines)
+    };
+    const region = lines.slice(inputBox && inputBox.line < questionLine ? inputBox.line + 1 : 0, found.lastOption + 1).join('\n');
+
+    if (/trust the files in this folder|trust this folder|one you trust/i.test(region)) {
+      // The question sits above the folder and the explanation, not right above the options
+      const regionLines = region.split('\n');
+      const trustQuestion = regionLines.find(line => /\?/.test(line) && /trust/i.test(line))?.trim() || question;
+      const folder = regionLines.find(line => /^\s*[~/]\S*$/.test(line) && line.trim().length > 1);
+      return result('trust-prompt', {
+        prompt: {
+          ...prompt,
+          question: trustQuestion,
+          full: trustQuestion + '\n' + options.join('\n'),
+          text: [trustQuestion, ...options].join('\n'),
+          folder: folder?.trim() || null
+        }
+      });
+    }
+
+    if (/would you like to proceed/i.test(question) &&
+        (/Here is Claude's plan/i.test(region) || options.some(o => /keep planning|auto-accept edits|manually approve edits/i.test(o)))) {
+      return result('plan-approval', { prompt: { ...prompt, plan: findPlan(lines, questionLine) } });
+    }
+
+    // AskUserQuestion has an "Enter to select" footer and a header chip ("☐ Topic") above the question
+    // (todo lists use the same boxes, so only the lines right above the question count)
+    const footer = lines.slice(found.lastOption + 1).join('\n');
+    const header = lines.slice(Math.max(0, questionLine - 3), questionLine).join('\n');
+    const isQuestionUi = /Enter to select/.test(footer) || /^\s*[☐☒✔]\s/m.test(header);
+    const toolContext = findToolContext(lines, questionLine, inputBox);
+    if (!isQuestionUi && (/^Do you want to\b/i.test(question) || (toolContext && toolContext.tool !== 'AskUserQuestion'))) {
+      return result('permission', {
+        prompt: {
+          ...prompt,
+          tool: toolContext?.tool || null,
+          context: toolContext?.context || '',
+          text: (toolContext ? toolContext.context + '\n\n' : '') + prompt.text
+        }
+      });
+    }
+    return result('question', { prompt });
+  }
+
+  if (!inputBox) {
+    // Claude's UI is gone and the shell prompt is back (only if Claude ran here at all)
+    const last = lines[lines.length - 1];
+    const claudeRan = lines.some(line => TOOL_LINE.test(line) || /Claude Code|claude --resume|Resume this session/i.test(line));
+    if (claudeRan && SHELL_PROMPT.test(last) && !/claude\b/i.test(last)) return result('exited');
+    return result('starting');
+  }
+
+  // The few lines above the input box: spinner status while working, or an error after a turn
+  const above = lines.slice(Math.max(0, inputBox.top - 8), inputBox.top).filter(line => line.trim());
+  const status = above.find(line => BUSY_LINE.test(line));
+  if (status) return result('busy', { message: status.trim() });
+
+  const error = above.slice(-4).reverse().find(line => ERROR_LINE.test(line));
+  if (error) return result('error', { message: error.replace(/^\s*⎿\s*/, '').trim() });
+
+  return result('ready');
+}
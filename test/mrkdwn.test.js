@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeSlackText, formatCodeBlock, markdownToMrkdwn, splitMessage } from '../mrkdwn.js';
+
+test('escapes the characters Slack treats as markup', () => {
+  assert.equal(escapeSlackText('a < b && c > d'), 'a &lt; b &amp;&amp; c &gt; d');
+});
+
+test('headings become bold lines without nested emphasis', () => {
+  assert.equal(markdownToMrkdwn('## Setup **now**'), '*Setup now*');
+  assert.equal(markdownToMrkdwn('### Trailing ###'), '*Trailing*');
+});
+
+test('bold, italic and strikethrough use mrkdwn markers', () => {
+  assert.equal(markdownToMrkdwn('**bold**, __bold__, *italic* and ~~gone~~'), '*bold*, *bold*, _italic_ and ~gone~');
+});
+
+test('lone asterisks and underscores inside words are left alone', () => {
+  assert.equal(markdownToMrkdwn('2 * 3 * 4'), '2 * 3 * 4');
+  assert.equal(markdownToMrkdwn('snake_case_name'), 'snake_case_name');
+});
+
+test('code spans keep their content and are escaped', () => {
+  assert.equal(markdownToMrkdwn('run `a*b*c` or `x < y`'), 'run `a*b*c` or `x &lt; y`');
+});
+
+test('links and images become Slack links', () => {
+  assert.equal(markdownToMrkdwn('[site](https://a.b/?x=1&y=2)'), '<https://a.b/?x=1&amp;y=2|site>');
+  assert.equal(markdownToMrkdwn('![diagram](https://a.b/d.png "title")'), '<https://a.b/d.png|diagram>');
+  assert.equal(markdownToMrkdwn('see <https://c.d>'), 'see <https://c.d>');
+});
+
+test('a pipe in a link label cannot end the label early', () => {
+  assert.equal(markdownToMrkdwn('[a|b](https://u)'), '<https://u|a¦b>');
+});
+
+test('plain text is escaped', () => {
+  assert.equal(markdownToMrkdwn('if a < b & c'), 'if a &lt; b &amp; c');
+});
+
+test('fenced code keeps its content, escaped, with the language as a label', () => {
+  assert.equal(markdownToMrkdwn('```js\nif (a < b) **x**\n```'), '_js_\n```\nif (a &lt; b) **x**\n```');
+  assert.equal(markdownToMrkdwn('~~~\nplain\n~~~'), '```\nplain\n```');
+});
+
+test('an unclosed fence runs to the end of the message', () => {
+  assert.equal(markdownToMrkdwn('text\n```\ncode\n# not a heading'), 'text\n```\ncode\n# not a heading\n```');
+});
+
+test('backticks inside a code block cannot close it', () => {
+  assert.equal(markdownToMrkdwn('~~~\na ``` b\n~~~'), '```\na `​`` b\n```');
+  assert.equal(formatCodeBlock(''), '```\n \n```');
+});
+
+test('nested lists are indented, task items get boxes', () => {
+  const markdown = '- one\n  - two\n    - three\n- [ ] todo\n- [x] done';
+  assert.equal(markdownToMrkdwn(markdown), '• one\n    ◦ two\n        ◦ three\n☐ todo\n☑ done');
+});
+
+test('numbered lists keep their numbers', () => {
+  assert.equal(markdownToMrkdwn('1. first\n  2) second *x*'), '1. first\n    2. second _x_');
+});
+
+test('quotes and rules', () => {
+  assert.equal(markdownToMrkdwn('> said *this*\n---'), '> said _this_\n──────────');
+});
+
+test('tables become aligned monospace without cell Markdown', () => {
+  const markdown = '| Name | Link |\n|------|:----:|\n| **bold** | [docs](https://d) |\n| a longer name | `x` |';
+  assert.equal(markdownToMrkdwn(markdown),
+    '```\nName          | Link\n--------------+-----\nbold          | docs\na longer name | x\n```');
+});
+
+test('a pipe line without a separator row is not a table', () => {
+  assert.equal(markdownToMrkdwn('| a | b |'), '| a | b |');
+});
+
+test('short messages stay in one chunk', () => {
+  assert.deepEqual(splitMessage('one\n\ntwo', 100), ['one\n\ntwo']);
+});
+
+test('messages are split between blocks', () => {
+  assert.deepEqual(splitMessage('first paragraph\n\nsecond paragraph', 20), ['first paragraph', 'second paragraph']);
+});
+
+test('blank lines inside a code block do not end the block', () => {
+  assert.deepEqual(splitMessage('intro\n\n```\nx\n\ny\n```\n\nend', 14), ['intro', '```\nx\n\ny\n```', 'end']);
+});
+
+test('a code block split across chunks is closed and reopened', () => {
+  const code = '```\n' + Array.from({ length: 10 }, (_, i) => `line ${i}`).join('\n') + '\n```';
+  const chunks = splitMessage(code, 40);
+  assert.deepEqual(chunks, [
+    '```\nline 0\nline 1\nline 2\nline 3\n```',
+    '```\nline 4\nline 5\nline 6\nline 7\n```',
+    '```\nline 8\nline 9\n```',
+  ]);
+  for (const chunk of chunks) assert.ok(chunk.length <= 40);
+});
+
+test('a long block is split between lines without adding blank lines', () => {
+  const block = Array.from({ length: 6 }, (_, i) => `row ${i}`).join('\n');
+  const chunks = splitMessage(block, 20);
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.join('\n'), block);
+});
+
+test('a line longer than a message is cut', () => {
+  const chunks = splitMessage('x'.repeat(25), 20);
+  assert.ok(chunks.every(chunk => chunk.length <= 20));
+  assert.equal(chunks.join(''), 'x'.repeat(25));
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSlackText, renderRichText, normalizeInboundMessage } from '../slack-text.js';
+
+// Like the bridge's lookups: unknown IDs come back as the ID
+const NAMES = { U1: 'alice', UBOT: 'claude', C1: 'general', S1: 'devs' };
+const lookup = async (id) => NAMES[id] || id;
+const names = { user: lookup, channel: lookup, userGroup: lookup };
+
+const richText = (...elements) => [{ type: 'rich_text', elements }];
+const section = (...elements) => ({ type: 'rich_text_section', elements });
+const text = (value, style) => ({ type: 'text', text: value, ...(style ? { style } : {}) });
+
+test('user mentions show the label or the looked-up name', async () => {
+  assert.equal(await normalizeSlackText('hi <@U1> and <@U2|bob>', names), 'hi @alice and @bob');
+  assert.equal(await normalizeSlackText('<@U9>', names), '@U9');
+});
+
+test('channels, user groups and broadcasts', async () => {
+  assert.equal(await normalizeSlackText('<#C1> <#C9|eng> <!subteam^S1> <!subteam^S2|@ops> <!here>', names),
+    '#general #eng @devs @ops @here');
+});
+
+test('dates show their fallback text', async () => {
+  assert.equal(await normalizeSlackText('due <!date^1700000000^{date}|Nov 14>', names), 'due Nov 14');
+});
+
+test('entities are decoded once', async () => {
+  assert.equal(await normalizeSlackText('a &lt;b&gt; &amp;&amp; &amp;lt;', names), 'a <b> && &lt;');
+});
+
+test('links keep a label only when it says more than the URL', async () => {
+  assert.equal(await normalizeSlackText('<https://a.b/c>', names), 'https://a.b/c');
+  assert.equal(await normalizeSlackText('<https://a.b/c|https://a.b/c>', names), 'https://a.b/c');
+  assert.equal(await normalizeSlackText('<http://example.com|example.com>', names), 'http://example.com');
+  assert.equal(await normalizeSlackText('<mailto:a@b.c|a@b.c>', names), 'a@b.c');
+  assert.equal(await normalizeSlackText('<https://a.b/?x=1&amp;y=2|the docs>', names), 'the docs (https://a.b/?x=1&y=2)');
+});
+
+test('rich text keeps the styles typed in the composer', async () => {
+  const blocks = richText(section(text('make '), text('this ', { bold: true }), text('gone', { strike: true }), text(' and '), text('a<b', { code: true })));
+  assert.equal(await renderRichText(blocks, { names }), 'make **this** ~~gone~~ and `a<b`');
+});
+
+test('code blocks are plain text and unescaped', async () => {
+  const blocks = richText(
+    section(text('run:\n')),
+    { type: 'rich_text_preformatted', elements: [text('if (a < b && c) {}\n'), { type: 'link', url: 'https://x.y', text: 'x.y' }] },
+  );
+  assert.equal(await renderRichText(blocks, { names }), 'run:\n```\nif (a < b && c) {}\nx.y\n```');
+});
+
+test('quotes and nested lists', async () => {
+  const blocks = richText(
+    { type: 'rich_text_quote', elements: [text('one\ntwo')] },
+    { type: 'rich_text_list', style: 'ordered', elements: [section(text('first')), section({ type: 'channel', channel_id: 'C1' })] },
+    { type: 'rich_text_list', style: 'bullet', indent: 1, elements: [section({ type: 'link', url: 'https://u', text: 'label' })] },
+  );
+  assert.equal(await renderRichText(blocks, { names }), '> one\n> two\n1. first\n2. #general\n  - label (https://u)');
+});
+
+test('emoji are unicode when Slack sends the code points', async () => {
+  const blocks = richText(section({ type: 'emoji', name: 'smile', unicode: '1f604' }, { type: 'emoji', name: 'party-parrot' }));
+  assert.equal(await renderRichText(blocks, { names }), '😄:party-parrot:');
+});
+
+test('messages without rich_text blocks render as null', async () => {
+  assert.equal(await renderRichText([{ type: 'section' }], { names }), null);
+  assert.equal(await renderRichText(undefined, { names }), null);
+});
+
+test('the bot mention is dropped from rich text', async () => {
+  const message = { text: '<@UBOT> hi', blocks: richText(section({ type: 'user', user_id: 'UBOT' }, text(' hi <@U1>'), { type: 'user', user_id: 'U1' })) };
+  assert.equal(await normalizeInboundMessage(message, { names, skipUser: 'UBOT' }), 'hi <@U1>@alice');
+});
+
+test('the bot mention is dropped from plain text, with or without a label', async () => {
+  assert.equal(await normalizeInboundMessage({ text: '<@UBOT> look at &lt;this&gt;' }, { names, skipUser: 'UBOT' }), 'look at <this>');
+  assert.equal(await normalizeInboundMessage({ text: '<@UBOT|claude> hi <@U1>' }, { names, skipUser: 'UBOT' }), 'hi @alice');
+});
+
+test('without skipUser every mention stays', async () => {
+  assert.equal(await normalizeInboundMessage({ text: '<@UBOT> hi' }, { names }), '@claude hi');
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { classifyTerminal, detectPermissionMode, parseQuestionChoices, TERMINAL_STATES } from '../terminal-state.js';
+
+// Fixtures are pane captures named <expected state>--<description>.txt
+const FIXTURES_DIR = new URL('./fixtures/terminal/', import.meta.url);
+
+function fixture(name) {
+  return readFileSync(new URL(name, FIXTURES_DIR), 'utf-8');
+}
+
+const fixtures = readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.txt'));
+
+for (const name of fixtures) {
+  const expected = name.split('--')[0];
+
+  test(`${name} is classified as ${expected}`, () => {
+    assert.ok(TERMINAL_STATES.includes(expected), `unknown state in fixture name: ${expected}`);
+    assert.equal(classifyTerminal(fixture(name)).state, expected);
+  });
+}
+
+test('every state has at least one fixture', () => {
+  const covered = new Set(fixtures.map(name => name.split('--')[0]));
+  assert.deepEqual(TERMINAL_STATES.filter(state => !covered.has(state)), []);
+});
+
+test('empty or missing content is starting', () => {
+  assert.equal(classifyTerminal('').state, 'starting');
+  assert.equal(classifyTerminal(null).state, 'starting');
+});
+
+test('trust prompt reports the question and folder', () => {
+  const { prompt } = classifyTerminal(fixture('trust-prompt--folder.txt'));
+  assert.equal(prompt.question, 'Do you trust the files in this folder?');
+  assert.equal(prompt.folder, '/home/dev/work/app');
+  assert.deepEqual(prompt.choices.map(c => c.label), ['Yes, proceed', 'No, exit']);
+});
+
+test('permission prompt carries the tool context', () => {
+  const { prompt } = classifyTerminal(fixture('permission--bash.txt'));
+  assert.equal(prompt.tool, 'Bash');
+  assert.equal(prompt.question, 'Do you want to proceed?');
+  assert.match(prompt.context, /^● Bash\(npm test\)/);
+  assert.match(prompt.text, /npm test[\s\S]*Do you want to proceed\?\n❯ 1\. Yes/);
+  assert.equal(prompt.choices.length, 3);
+});
+
+test('boxed permission prompt is read without the borders', () => {
+  const { prompt } = classifyTerminal(fixture('permission--edit-box.txt'));
+  assert.equal(prompt.tool, 'Update');
+  assert.equal(prompt.question, 'Do you want to make this edit to app.js?');
+  assert.deepEqual(prompt.options, [
+    '❯ 1. Yes',
+    '2. Yes, allow all edits during this session (shift+tab)',
+    '3. No, and tell Claude what to do differently (esc)'
+  ]);
+});
+
+test('todo checkboxes above a permission prompt do not make it a question', () => {
+  const { state, prompt } = classifyTerminal(fixture('permission--after-todos.txt'));
+  assert.equal(state, 'permission');
+  assert.equal(prompt.tool, 'Write');
+});
+
+test('single-choice question parses choices, descriptions and free text', () => {
+  const { prompt } = classifyTerminal(fixture('question--single.txt'));
+  assert.equal(prompt.question, 'Which database should the service use?');
+  assert.deepEqual(prompt.choices, [
+    { key: '1', label: 'PostgreSQL', description: 'Relational, strong consistency', checked: false },
+    { key: '2', label: 'SQLite', description: 'Single file, no server', checked: false }
+  ]);
+  assert.equal(prompt.multiSelect, false);
+  assert.equal(prompt.freeTextKey, '3');
+});
+
+test('multi-select question reports checkbox state and the submit key', () => {
+  const { prompt } = classifyTerminal(fixture('question--multi-select.txt'));
+  assert.equal(prompt.multiSelect, true);
+  assert.deepEqual(prompt.choices.map(c => [c.label, c.checked]), [['Auth', true], ['Billing', false], ['Search', false]]);
+  assert.equal(prompt.freeTextKey, '4');
+  assert.equal(prompt.proceedKey, '5');
+});
+
+test('plan approval extracts the plan', () => {
+  const { prompt } = classifyTerminal(fixture('plan-approval--box.txt'));
+  assert.equal(prompt.question, 'Would you like to proceed?');
+  assert.equal(prompt.plan, [
+    'Make the port configurable',
+    '',
+    '1. Read PORT from the environment in src/app.js',
+    '   - fall back to 3000',
+    '2. Document it in README.md'
+  ].join('\n'));
+  assert.deepEqual(prompt.choices.map(c => c.key), ['1', '2', '3']);
+});
+
+test('busy and error report their status line', () => {
+  assert.match(classifyTerminal(fixture('busy--running-tool.txt')).message, /^✻ Compiling… \(esc to interrupt/);
+  assert.equal(classifyTerminal(fixture('error--login.txt')).message, 'Invalid API key · Please run /login');
+});
+
+test('a numbered list in the last response is not a prompt', () => {
+  const result = classifyTerminal(fixture('ready--after-turn.txt'));
+  assert.equal(result.state, 'ready');
+  assert.equal(result.prompt, null);
+});
+
+test('parseQuestionChoices stops at the footer', () => {
+  const { choices } = parseQuestionChoices(['❯ 1. One', '  2. Two', 'Esc to cancel', '  3. Three']);
+  assert.deepEqual(choices.map(c => c.label), ['One', 'Two']);
+});
+
+test('permission mode is read from the footer', () => {
+  assert.equal(detectPermissionMode(fixture('ready--welcome.txt')), 'default');
+  assert.equal(detectPermissionMode(fixture('ready--after-turn.txt')), 'acceptEdits');
+  assert.equal(detectPermissionMode(fixture('busy--running-tool.txt')), 'acceptEdits');
+  assert.equal(detectPermissionMode(fixture('ready--plan-mode.txt')), 'plan');
+});